@@ -0,0 +1,284 @@
+-- Baseline: the schema initializeDatabase used to build on every boot. Each
+-- statement is idempotent so databases created before migrations existed can
+-- apply it over their existing tables.
+
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) UNIQUE NOT NULL,
+  password VARCHAR(255) NOT NULL,
+  is_admin BOOLEAN DEFAULT FALSE,
+  primary_subject_id INTEGER,
+  subject_locked_at TIMESTAMP,
+  lock_expires_at TIMESTAMP,
+  aar_count INTEGER DEFAULT 0,
+  session_count INTEGER DEFAULT 0,
+  total_study_minutes INTEGER DEFAULT 0,
+  last_activity TIMESTAMP,
+  onboarding_complete BOOLEAN DEFAULT FALSE,
+  unlock_requested BOOLEAN DEFAULT FALSE,
+  unlock_requested_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS access_codes (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(50) UNIQUE NOT NULL,
+  used BOOLEAN DEFAULT FALSE,
+  used_by INTEGER REFERENCES users(id),
+  used_at TIMESTAMP,
+  sent_to_email VARCHAR(255),
+  sent_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS password_resets (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id),
+  token VARCHAR(255) UNIQUE NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS departments (id SERIAL PRIMARY KEY, name VARCHAR(100) NOT NULL, code VARCHAR(20) UNIQUE NOT NULL, icon VARCHAR(10) DEFAULT '📚', is_active BOOLEAN DEFAULT TRUE, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP);
+
+CREATE TABLE IF NOT EXISTS subjects (id SERIAL PRIMARY KEY, department_id INTEGER REFERENCES departments(id), name VARCHAR(100) NOT NULL, code VARCHAR(20) NOT NULL, estimated_hours INTEGER DEFAULT 20, is_active BOOLEAN DEFAULT TRUE, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, UNIQUE(department_id, code));
+
+CREATE TABLE IF NOT EXISTS resources (id SERIAL PRIMARY KEY, subject_id INTEGER REFERENCES subjects(id), title VARCHAR(255) NOT NULL, url TEXT NOT NULL, type VARCHAR(50) NOT NULL, duration_minutes INTEGER DEFAULT 0, sort_order INTEGER DEFAULT 0, is_active BOOLEAN DEFAULT TRUE, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP);
+
+CREATE TABLE IF NOT EXISTS study_sessions (id SERIAL PRIMARY KEY, user_id INTEGER REFERENCES users(id), subject_id INTEGER REFERENCES subjects(id), session_type VARCHAR(50) DEFAULT 'active_recall', planned_duration INTEGER NOT NULL, actual_duration INTEGER, started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, completed_at TIMESTAMP, is_completed BOOLEAN DEFAULT FALSE);
+
+CREATE TABLE IF NOT EXISTS aar_entries (id SERIAL PRIMARY KEY, user_id INTEGER REFERENCES users(id), subject_id INTEGER REFERENCES subjects(id), what_worked TEXT NOT NULL, what_blocked TEXT NOT NULL, tomorrow_plan TEXT NOT NULL, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP);
+
+CREATE TABLE IF NOT EXISTS user_progress (id SERIAL PRIMARY KEY, user_id INTEGER REFERENCES users(id), resource_id INTEGER REFERENCES resources(id), completed BOOLEAN DEFAULT FALSE, completed_at TIMESTAMP, UNIQUE(user_id, resource_id));
+
+-- A resource can be shared by several subjects; resources.subject_id is the subject it was created for
+CREATE TABLE IF NOT EXISTS resource_subjects (resource_id INTEGER REFERENCES resources(id), subject_id INTEGER REFERENCES subjects(id), sort_order INTEGER DEFAULT 0, PRIMARY KEY (resource_id, subject_id));
+
+CREATE TABLE IF NOT EXISTS unlock_policies (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  department_id INTEGER REFERENCES departments(id),
+  subject_id INTEGER REFERENCES subjects(id),
+  min_days INTEGER NOT NULL DEFAULT 7,
+  min_sessions INTEGER NOT NULL DEFAULT 5,
+  min_aars INTEGER NOT NULL DEFAULT 3,
+  min_study_minutes INTEGER NOT NULL DEFAULT 0,
+  min_resource_completion INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS questions (
+  id SERIAL PRIMARY KEY,
+  subject_id INTEGER REFERENCES subjects(id) NOT NULL,
+  type VARCHAR(20) NOT NULL,
+  prompt TEXT NOT NULL,
+  options JSONB,
+  correct_option INTEGER,
+  accepted_answers JSONB,
+  explanation TEXT,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS quizzes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id),
+  subject_id INTEGER REFERENCES subjects(id),
+  session_id INTEGER REFERENCES study_sessions(id),
+  question_count INTEGER NOT NULL,
+  correct_count INTEGER,
+  score INTEGER,
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  submitted_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS quiz_answers (
+  id SERIAL PRIMARY KEY,
+  quiz_id INTEGER REFERENCES quizzes(id) ON DELETE CASCADE,
+  question_id INTEGER REFERENCES questions(id),
+  answer TEXT,
+  is_correct BOOLEAN,
+  answered_at TIMESTAMP,
+  UNIQUE(quiz_id, question_id)
+);
+
+CREATE TABLE IF NOT EXISTS flashcard_decks (
+  id SERIAL PRIMARY KEY,
+  subject_id INTEGER REFERENCES subjects(id) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- owner_id is NULL for curated cards and set for a student's personal cards
+CREATE TABLE IF NOT EXISTS flashcards (
+  id SERIAL PRIMARY KEY,
+  deck_id INTEGER REFERENCES flashcard_decks(id) NOT NULL,
+  owner_id INTEGER REFERENCES users(id),
+  front TEXT NOT NULL,
+  back TEXT NOT NULL,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS flashcard_schedules (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id),
+  card_id INTEGER REFERENCES flashcards(id),
+  ease_factor REAL NOT NULL DEFAULT 2.5,
+  interval_days INTEGER NOT NULL DEFAULT 0,
+  repetitions INTEGER NOT NULL DEFAULT 0,
+  due_date DATE NOT NULL,
+  last_reviewed_at TIMESTAMP,
+  UNIQUE(user_id, card_id)
+);
+
+CREATE TABLE IF NOT EXISTS flashcard_reviews (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id),
+  card_id INTEGER REFERENCES flashcards(id),
+  subject_id INTEGER REFERENCES subjects(id),
+  grade INTEGER NOT NULL,
+  duration_seconds INTEGER NOT NULL DEFAULT 0,
+  interval_days INTEGER NOT NULL,
+  ease_factor REAL NOT NULL,
+  reviewed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id SERIAL PRIMARY KEY,
+  to_email VARCHAR(255) NOT NULL,
+  subject VARCHAR(500) NOT NULL,
+  html TEXT NOT NULL,
+  meta JSONB NOT NULL DEFAULT '{}',
+  status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued','sending','sent','failed','bounced')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 8,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+  last_error TEXT,
+  transport VARCHAR(20),
+  message_id VARCHAR(255),
+  sent_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT LOCALTIMESTAMP,
+  updated_at TIMESTAMP DEFAULT LOCALTIMESTAMP
+);
+ALTER TABLE email_outbox ADD COLUMN IF NOT EXISTS text_body TEXT;
+ALTER TABLE email_outbox ADD COLUMN IF NOT EXISTS template VARCHAR(50);
+ALTER TABLE email_outbox ADD COLUMN IF NOT EXISTS locale VARCHAR(10);
+CREATE INDEX IF NOT EXISTS email_outbox_pending_idx ON email_outbox (next_attempt_at) WHERE status='queued';
+
+CREATE TABLE IF NOT EXISTS scheduled_job_runs (job_name VARCHAR(50) NOT NULL, run_key VARCHAR(100) NOT NULL, created_at TIMESTAMP DEFAULT LOCALTIMESTAMP, PRIMARY KEY (job_name, run_key));
+
+CREATE TABLE IF NOT EXISTS email_preferences (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  study_reminders BOOLEAN NOT NULL DEFAULT FALSE,
+  reminder_time TIME NOT NULL DEFAULT '18:00',
+  streak_nudges BOOLEAN NOT NULL DEFAULT TRUE,
+  weekly_digest BOOLEAN NOT NULL DEFAULT TRUE,
+  admin_summary BOOLEAN NOT NULL DEFAULT TRUE,
+  updated_at TIMESTAMP DEFAULT LOCALTIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  family_id UUID NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  replaced_by INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+  user_agent VARCHAR(255),
+  ip VARCHAR(64),
+  created_at TIMESTAMP DEFAULT LOCALTIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS email_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('verify_email','change_email')),
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  new_email VARCHAR(255),
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT LOCALTIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS roles (id SERIAL PRIMARY KEY, name VARCHAR(50) UNIQUE NOT NULL, description VARCHAR(255), created_at TIMESTAMP DEFAULT LOCALTIMESTAMP);
+CREATE TABLE IF NOT EXISTS permissions (name VARCHAR(50) PRIMARY KEY, description VARCHAR(255));
+CREATE TABLE IF NOT EXISTS role_permissions (role_id INTEGER REFERENCES roles(id) ON DELETE CASCADE, permission VARCHAR(50) REFERENCES permissions(name) ON DELETE CASCADE, PRIMARY KEY (role_id, permission));
+CREATE TABLE IF NOT EXISTS user_roles (
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  role_id INTEGER REFERENCES roles(id) ON DELETE CASCADE,
+  granted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  granted_at TIMESTAMP DEFAULT LOCALTIMESTAMP,
+  PRIMARY KEY (user_id, role_id)
+);
+
+CREATE TABLE IF NOT EXISTS cohorts (id SERIAL PRIMARY KEY, name VARCHAR(100) NOT NULL, department_id INTEGER REFERENCES departments(id), is_active BOOLEAN DEFAULT TRUE, created_at TIMESTAMP DEFAULT LOCALTIMESTAMP);
+CREATE TABLE IF NOT EXISTS cohort_instructors (cohort_id INTEGER REFERENCES cohorts(id) ON DELETE CASCADE, user_id INTEGER REFERENCES users(id) ON DELETE CASCADE, added_at TIMESTAMP DEFAULT LOCALTIMESTAMP, PRIMARY KEY (cohort_id, user_id));
+CREATE TABLE IF NOT EXISTS cohort_members (cohort_id INTEGER REFERENCES cohorts(id) ON DELETE CASCADE, user_id INTEGER REFERENCES users(id) ON DELETE CASCADE, joined_at TIMESTAMP DEFAULT LOCALTIMESTAMP, PRIMARY KEY (cohort_id, user_id));
+CREATE INDEX IF NOT EXISTS cohort_members_user_idx ON cohort_members (user_id);
+
+CREATE TABLE IF NOT EXISTS access_code_campaigns (id SERIAL PRIMARY KEY, name VARCHAR(100) NOT NULL, created_by INTEGER REFERENCES users(id) ON DELETE SET NULL, created_at TIMESTAMP DEFAULT LOCALTIMESTAMP);
+CREATE TABLE IF NOT EXISTS access_code_redemptions (
+  id SERIAL PRIMARY KEY,
+  code_id INTEGER REFERENCES access_codes(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  redeemed_at TIMESTAMP DEFAULT LOCALTIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS access_code_redemptions_code_idx ON access_code_redemptions (code_id);
+
+CREATE TABLE IF NOT EXISTS rate_limits (key VARCHAR(255) PRIMARY KEY, count INTEGER NOT NULL, reset_at TIMESTAMP NOT NULL);
+
+CREATE TABLE IF NOT EXISTS session_pauses (id SERIAL PRIMARY KEY, session_id INTEGER REFERENCES study_sessions(id) ON DELETE CASCADE, paused_at TIMESTAMP DEFAULT LOCALTIMESTAMP, resumed_at TIMESTAMP);
+
+-- Add new columns if they don't exist (for existing databases)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS unlock_requested BOOLEAN DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS unlock_requested_at TIMESTAMP;
+ALTER TABLE access_codes ADD COLUMN IF NOT EXISTS sent_to_email VARCHAR(255);
+ALTER TABLE access_codes ADD COLUMN IF NOT EXISTS sent_at TIMESTAMP;
+ALTER TABLE unlock_policies ADD COLUMN IF NOT EXISTS min_quiz_score INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS flashcard_review_seconds INTEGER DEFAULT 0;
+ALTER TABLE study_sessions ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active','paused','completed','abandoned','expired'));
+ALTER TABLE study_sessions ADD COLUMN IF NOT EXISTS ended_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS rest_days_per_week INTEGER DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locale VARCHAR(10);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+-- Accounts that predate verification are treated as verified; new ones start unverified
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN;
+UPDATE users SET email_verified=TRUE WHERE email_verified IS NULL;
+ALTER TABLE users ALTER COLUMN email_verified SET DEFAULT FALSE;
+-- Registering with a cohort's code enrolls the student in that cohort
+ALTER TABLE access_codes ADD COLUMN IF NOT EXISTS cohort_id INTEGER REFERENCES cohorts(id) ON DELETE SET NULL;
+-- used/used_by/used_at now mean "exhausted" and "most recent redemption"; access_code_redemptions has the full list
+ALTER TABLE access_codes ADD COLUMN IF NOT EXISTS max_uses INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE access_codes ADD COLUMN IF NOT EXISTS use_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE access_codes ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+ALTER TABLE access_codes ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP;
+ALTER TABLE access_codes ADD COLUMN IF NOT EXISTS department_id INTEGER REFERENCES departments(id);
+ALTER TABLE access_codes ADD COLUMN IF NOT EXISTS subject_id INTEGER REFERENCES subjects(id);
+ALTER TABLE access_codes ADD COLUMN IF NOT EXISTS campaign_id INTEGER REFERENCES access_code_campaigns(id) ON DELETE SET NULL;
+UPDATE access_codes SET use_count=1 WHERE used=TRUE AND use_count=0;
+INSERT INTO access_code_redemptions (code_id, user_id, redeemed_at) SELECT ac.id, ac.used_by, ac.used_at FROM access_codes ac WHERE ac.used_by IS NOT NULL AND NOT EXISTS (SELECT 1 FROM access_code_redemptions acr WHERE acr.code_id=ac.id);
+-- Department a code assigned at registration; declare-subject only offers subjects inside it
+ALTER TABLE users ADD COLUMN IF NOT EXISTS department_id INTEGER REFERENCES departments(id);
+ALTER TABLE departments ADD COLUMN IF NOT EXISTS sort_order INTEGER DEFAULT 0;
+ALTER TABLE subjects ADD COLUMN IF NOT EXISTS sort_order INTEGER DEFAULT 0;
+INSERT INTO resource_subjects (resource_id, subject_id, sort_order) SELECT r.id, r.subject_id, r.sort_order FROM resources r WHERE r.subject_id IS NOT NULL AND NOT EXISTS (SELECT 1 FROM resource_subjects rs WHERE rs.resource_id=r.id);
+UPDATE study_sessions SET status='completed' WHERE is_completed=TRUE AND status<>'completed';
+
+-- The unscoped policy is the fallback for every subject; make sure one exists
+INSERT INTO unlock_policies (name) SELECT 'Default' WHERE NOT EXISTS (SELECT 1 FROM unlock_policies WHERE department_id IS NULL AND subject_id IS NULL);
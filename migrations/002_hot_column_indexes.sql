@@ -0,0 +1,28 @@
+-- Foreign keys that per-user and per-subject queries filter on. Postgres indexes
+-- the referenced side of a foreign key, not the referencing column.
+
+CREATE INDEX IF NOT EXISTS study_sessions_user_idx ON study_sessions (user_id, started_at);
+CREATE INDEX IF NOT EXISTS study_sessions_completed_idx ON study_sessions (user_id, completed_at) WHERE is_completed = TRUE;
+CREATE INDEX IF NOT EXISTS study_sessions_open_idx ON study_sessions (status) WHERE status IN ('active', 'paused');
+CREATE INDEX IF NOT EXISTS session_pauses_session_idx ON session_pauses (session_id);
+CREATE INDEX IF NOT EXISTS aar_entries_user_idx ON aar_entries (user_id, created_at);
+CREATE INDEX IF NOT EXISTS quizzes_user_idx ON quizzes (user_id, started_at);
+CREATE INDEX IF NOT EXISTS quiz_answers_question_idx ON quiz_answers (question_id);
+CREATE INDEX IF NOT EXISTS flashcard_reviews_user_idx ON flashcard_reviews (user_id, reviewed_at);
+CREATE INDEX IF NOT EXISTS flashcard_schedules_due_idx ON flashcard_schedules (user_id, due_date);
+CREATE INDEX IF NOT EXISTS flashcards_deck_idx ON flashcards (deck_id);
+CREATE INDEX IF NOT EXISTS flashcards_owner_idx ON flashcards (owner_id) WHERE owner_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS questions_subject_idx ON questions (subject_id);
+CREATE INDEX IF NOT EXISTS subjects_department_idx ON subjects (department_id);
+CREATE INDEX IF NOT EXISTS resource_subjects_subject_idx ON resource_subjects (subject_id, sort_order);
+CREATE INDEX IF NOT EXISTS users_primary_subject_idx ON users (primary_subject_id);
+CREATE INDEX IF NOT EXISTS users_unlock_requested_idx ON users (unlock_requested_at) WHERE unlock_requested = TRUE;
+CREATE INDEX IF NOT EXISTS password_resets_user_idx ON password_resets (user_id);
+CREATE INDEX IF NOT EXISTS refresh_tokens_user_idx ON refresh_tokens (user_id);
+CREATE INDEX IF NOT EXISTS refresh_tokens_family_idx ON refresh_tokens (family_id);
+CREATE INDEX IF NOT EXISTS email_tokens_user_idx ON email_tokens (user_id);
+CREATE INDEX IF NOT EXISTS access_codes_used_by_idx ON access_codes (used_by);
+CREATE INDEX IF NOT EXISTS access_codes_campaign_idx ON access_codes (campaign_id);
+CREATE INDEX IF NOT EXISTS access_code_redemptions_user_idx ON access_code_redemptions (user_id);
+CREATE INDEX IF NOT EXISTS cohort_instructors_user_idx ON cohort_instructors (user_id);
+CREATE INDEX IF NOT EXISTS user_roles_role_idx ON user_roles (role_id);
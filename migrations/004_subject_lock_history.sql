@@ -0,0 +1,42 @@
+-- One row per subject a student has locked into. users.primary_subject_id and
+-- friends still hold the current lock; this keeps it after the unlock resets them.
+CREATE TABLE subject_locks (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  subject_id INTEGER NOT NULL REFERENCES subjects(id),
+  locked_at TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+  lock_expires_at TIMESTAMP,
+  unlocked_at TIMESTAMP,
+  end_reason VARCHAR(20) CHECK (end_reason IN ('auto_unlock', 'approved', 'admin_unlock')),
+  ended_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  session_count INTEGER,
+  aar_count INTEGER
+);
+CREATE UNIQUE INDEX subject_locks_open_idx ON subject_locks (user_id) WHERE unlocked_at IS NULL;
+CREATE INDEX subject_locks_user_idx ON subject_locks (user_id, locked_at);
+
+CREATE TABLE unlock_requests (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  subject_lock_id INTEGER REFERENCES subject_locks(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'denied', 'auto_approved')),
+  justification TEXT,
+  progress JSONB,
+  reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  review_reason TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+  reviewed_at TIMESTAMP
+);
+CREATE UNIQUE INDEX unlock_requests_pending_idx ON unlock_requests (user_id) WHERE status = 'pending';
+CREATE INDEX unlock_requests_user_idx ON unlock_requests (user_id, created_at);
+CREATE INDEX unlock_requests_status_idx ON unlock_requests (status, created_at);
+
+-- Carry over the locks and pending requests that exist today
+INSERT INTO subject_locks (user_id, subject_id, locked_at, lock_expires_at)
+SELECT id, primary_subject_id, COALESCE(subject_locked_at, LOCALTIMESTAMP), lock_expires_at
+FROM users WHERE primary_subject_id IS NOT NULL;
+
+INSERT INTO unlock_requests (user_id, subject_lock_id, created_at)
+SELECT u.id, sl.id, COALESCE(u.unlock_requested_at, LOCALTIMESTAMP)
+FROM users u LEFT JOIN subject_locks sl ON sl.user_id = u.id AND sl.unlocked_at IS NULL
+WHERE u.unlock_requested = TRUE;
@@ -0,0 +1,9 @@
+-- AARs can point at the study session they reflect on (one AAR per session) and are
+-- searchable across all three answers.
+ALTER TABLE aar_entries ADD COLUMN session_id INTEGER REFERENCES study_sessions(id) ON DELETE SET NULL;
+ALTER TABLE aar_entries ADD COLUMN updated_at TIMESTAMP;
+ALTER TABLE aar_entries ADD COLUMN search_vector tsvector
+  GENERATED ALWAYS AS (to_tsvector('english', what_worked || ' ' || what_blocked || ' ' || tomorrow_plan)) STORED;
+
+CREATE UNIQUE INDEX aar_entries_session_idx ON aar_entries (session_id) WHERE session_id IS NOT NULL;
+CREATE INDEX aar_entries_search_idx ON aar_entries USING GIN (search_vector);
@@ -0,0 +1,14 @@
+-- A study goal for one subject lock: finish by target_date or study weekly_minutes a
+-- week. daily_minutes is the daily load when the goal was set, kept to show rebalancing.
+CREATE TABLE study_plans (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  subject_lock_id INTEGER NOT NULL UNIQUE REFERENCES subject_locks(id) ON DELETE CASCADE,
+  target_date DATE,
+  weekly_minutes INTEGER CHECK (weekly_minutes > 0),
+  daily_minutes INTEGER NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+  updated_at TIMESTAMP,
+  CHECK ((target_date IS NULL) <> (weekly_minutes IS NULL))
+);
+CREATE INDEX study_plans_user_idx ON study_plans (user_id);
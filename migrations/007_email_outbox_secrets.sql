@@ -0,0 +1,14 @@
+-- Outbox rows keep a redacted copy of each message. The one-time links and access
+-- codes needed to send it live in secret_data until delivery succeeds or is given up.
+ALTER TABLE email_outbox ADD COLUMN template_data JSONB;
+ALTER TABLE email_outbox ADD COLUMN secret_data JSONB;
+
+-- Scrub messages already in the outbox that are no longer going to be sent
+UPDATE email_outbox
+SET html = regexp_replace(html, '([?&]token=)[^"&<\s]+', '\1[redacted]', 'g'),
+    text_body = regexp_replace(text_body, '([?&]token=)[^"&<\s]+', '\1[redacted]', 'g')
+WHERE template IN ('password-reset', 'verify-email', 'confirm-email-change') AND status IN ('sent', 'failed', 'bounced');
+
+UPDATE email_outbox
+SET html = '<p>[Access codes redacted]</p>', text_body = '[Access codes redacted]'
+WHERE template = 'access-codes' AND status IN ('sent', 'failed', 'bounced');
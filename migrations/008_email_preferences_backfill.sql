@@ -0,0 +1,2 @@
+-- Preference rows are now created at signup instead of by every scheduler tick
+INSERT INTO email_preferences (user_id) SELECT id FROM users ON CONFLICT DO NOTHING;
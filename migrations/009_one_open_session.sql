@@ -0,0 +1,10 @@
+-- A student has at most one active or paused session. Older duplicates left by
+-- concurrent starts are abandoned so the index can be built.
+UPDATE study_sessions s SET status='abandoned', ended_at=LOCALTIMESTAMP
+WHERE status IN ('active', 'paused') AND EXISTS (
+  SELECT 1 FROM study_sessions n
+  WHERE n.user_id=s.user_id AND n.status IN ('active', 'paused') AND (n.started_at, n.id) > (s.started_at, s.id)
+);
+UPDATE session_pauses SET resumed_at=LOCALTIMESTAMP
+WHERE resumed_at IS NULL AND session_id IN (SELECT id FROM study_sessions WHERE status='abandoned');
+CREATE UNIQUE INDEX study_sessions_one_open_idx ON study_sessions (user_id) WHERE status IN ('active', 'paused');
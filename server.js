@@ -4,11 +4,17 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const cors = require('cors');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const nodemailer = require('nodemailer');
 
 require('dotenv').config();
 
 const app = express();
-app.use(express.json());
+app.use(express.json({ limit: '2mb' })); // catalog imports can be large
+// Behind a load balancer, set TRUST_PROXY (e.g. 1) so req.ip is the client's address
+if (process.env.TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
 app.use(cors({ origin: process.env.FRONTEND_URL || '*', credentials: true }));
 
 const pool = new Pool({ 
@@ -26,134 +32,815 @@ pool.on('error', (err) => {
   console.error('❌ Database pool error:', err);
 });
 
-// Email setup using Brevo HTTP API (no SMTP needed)
-async function sendEmail(to, subject, html) {
-  try {
-    console.log('📧 Attempting to send email...');
-    
-    if (!process.env.BREVO_API_KEY) {
-      console.log('📧 Email not configured. Would send to:', to);
-      console.log('Subject:', subject);
-      return { success: true, message: 'Email logging only (API key not configured)' };
+// ============================================
+// EMAIL TRANSPORTS
+// ============================================
+// EMAIL_TRANSPORT picks one of: brevo (HTTP API), smtp (nodemailer), outbox (writes
+// .eml + .json files to EMAIL_OUTBOX_DIR for local runs) or console (log only).
+// Unset, it falls back to brevo/smtp when their credentials exist, else console.
+
+const EMAIL_FROM = { name: process.env.SENDER_NAME || 'RNPathfinders', address: process.env.SENDER_EMAIL || 'noreply@rnpathfinders.ng' };
+
+const emailTransports = {
+  brevo: {
+    describe: () => 'Brevo HTTP API',
+    async send(message) {
+      if (!process.env.BREVO_API_KEY) throw new Error('BREVO_API_KEY is not set');
+      const response = await fetch('https://api.brevo.com/v3/smtp/email', {
+        method: 'POST',
+        headers: {
+          'accept': 'application/json',
+          'api-key': process.env.BREVO_API_KEY,
+          'content-type': 'application/json'
+        },
+        body: JSON.stringify({
+          sender: { name: message.from.name, email: message.from.address },
+          to: [{ email: message.to }],
+          subject: message.subject,
+          htmlContent: message.html,
+          textContent: message.text || undefined
+        })
+      });
+
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        const error = new Error(body.message || 'Failed to send email');
+        // 4xx (other than auth/rate limits) means Brevo rejected the message itself
+        error.permanent = response.status >= 400 && response.status < 500 && ![401, 403, 429].includes(response.status);
+        throw error;
+      }
+      const body = await response.json().catch(() => ({}));
+      return { messageId: body.messageId };
     }
-    
-    const response = await fetch('https://api.brevo.com/v3/smtp/email', {
-      method: 'POST',
-      headers: {
-        'accept': 'application/json',
-        'api-key': process.env.BREVO_API_KEY,
-        'content-type': 'application/json'
-      },
-      body: JSON.stringify({
-        sender: { name: 'RNPathfinders', email: process.env.SENDER_EMAIL || 'noreply@rnpathfinders.ng' },
-        to: [{ email: to }],
-        subject: subject,
-        htmlContent: html
-      })
-    });
-    
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.message || 'Failed to send email');
+  },
+
+  smtp: {
+    describe: () => `SMTP ${process.env.SMTP_HOST}:${process.env.SMTP_PORT || 587}`,
+    async send(message) {
+      if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST is not set');
+      if (!this.transporter) {
+        const port = parseInt(process.env.SMTP_PORT) || 587;
+        this.transporter = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port,
+          secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+          auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+      }
+      try {
+        const info = await this.transporter.sendMail(message);
+        return { messageId: info.messageId };
+      } catch (error) {
+        // 5xx SMTP replies are permanent rejections (unknown mailbox, refused domain, ...)
+        error.permanent = error.responseCode >= 500;
+        throw error;
+      }
     }
-    
+  },
+
+  outbox: {
+    dir: () => path.resolve(process.env.EMAIL_OUTBOX_DIR || 'outbox'),
+    describe() { return `outbox directory ${this.dir()}`; },
+    async send(message) {
+      if (!this.transporter) this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+      const info = await this.transporter.sendMail(message);
+      const dir = this.dir();
+      await fs.promises.mkdir(dir, { recursive: true });
+      const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}`;
+      await fs.promises.writeFile(path.join(dir, `${name}.eml`), info.message);
+      await fs.promises.writeFile(path.join(dir, `${name}.json`), JSON.stringify({
+        messageId: info.messageId, date: new Date().toISOString(), from: message.from, to: message.to, subject: message.subject, html: message.html, text: message.text
+      }, null, 2));
+      console.log(`📧 Email written to ${path.join(dir, name)}.eml`);
+      return { messageId: info.messageId, file: `${name}.eml` };
+    }
+  },
+
+  console: {
+    describe: () => 'console (logging only)',
+    async send(message) {
+      console.log('📧 Email not configured. Would send to:', message.to);
+      console.log('Subject:', message.subject);
+      return { message: 'Email logging only (no transport configured)' };
+    }
+  }
+};
+
+function getEmailTransportName() {
+  if (process.env.EMAIL_TRANSPORT) return process.env.EMAIL_TRANSPORT.toLowerCase();
+  if (process.env.BREVO_API_KEY) return 'brevo';
+  if (process.env.SMTP_HOST) return 'smtp';
+  return 'console';
+}
+
+function getEmailTransport() {
+  const name = getEmailTransportName();
+  const transport = emailTransports[name];
+  if (!transport) throw new Error(`Unknown EMAIL_TRANSPORT "${name}" (expected one of: ${Object.keys(emailTransports).join(', ')})`);
+  return transport;
+}
+
+async function sendEmail(to, subject, html, text) {
+  try {
+    console.log('📧 Attempting to send email...');
+    const result = await getEmailTransport().send({ from: EMAIL_FROM, to, subject, html, text });
     console.log('📧 Email sent to:', to);
-    return { success: true };
+    return { success: true, transport: getEmailTransportName(), ...result };
   } catch (error) {
     console.error('📧 Email error:', error.message);
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, permanent: !!error.permanent };
   }
 }
 
-async function initializeDatabase() {
-  try {
-    console.log('📦 Checking/Creating tables...');
-    
-    await pool.query(`CREATE TABLE IF NOT EXISTS users (
-      id SERIAL PRIMARY KEY, 
-      email VARCHAR(255) UNIQUE NOT NULL, 
-      password VARCHAR(255) NOT NULL, 
-      is_admin BOOLEAN DEFAULT FALSE, 
-      primary_subject_id INTEGER, 
-      subject_locked_at TIMESTAMP, 
-      lock_expires_at TIMESTAMP, 
-      aar_count INTEGER DEFAULT 0, 
-      session_count INTEGER DEFAULT 0, 
-      total_study_minutes INTEGER DEFAULT 0, 
-      last_activity TIMESTAMP, 
-      onboarding_complete BOOLEAN DEFAULT FALSE, 
-      unlock_requested BOOLEAN DEFAULT FALSE,
-      unlock_requested_at TIMESTAMP,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    )`);
-    
-    await pool.query(`CREATE TABLE IF NOT EXISTS access_codes (
-      id SERIAL PRIMARY KEY, 
-      code VARCHAR(50) UNIQUE NOT NULL, 
-      used BOOLEAN DEFAULT FALSE, 
-      used_by INTEGER REFERENCES users(id), 
-      used_at TIMESTAMP, 
-      sent_to_email VARCHAR(255),
-      sent_at TIMESTAMP,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    )`);
-    
-    await pool.query(`CREATE TABLE IF NOT EXISTS password_resets (
-      id SERIAL PRIMARY KEY,
-      user_id INTEGER REFERENCES users(id),
-      token VARCHAR(255) UNIQUE NOT NULL,
-      expires_at TIMESTAMP NOT NULL,
-      used BOOLEAN DEFAULT FALSE,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    )`);
-    
-    await pool.query(`CREATE TABLE IF NOT EXISTS departments (id SERIAL PRIMARY KEY, name VARCHAR(100) NOT NULL, code VARCHAR(20) UNIQUE NOT NULL, icon VARCHAR(10) DEFAULT '📚', is_active BOOLEAN DEFAULT TRUE, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP)`);
-    
-    await pool.query(`CREATE TABLE IF NOT EXISTS subjects (id SERIAL PRIMARY KEY, department_id INTEGER REFERENCES departments(id), name VARCHAR(100) NOT NULL, code VARCHAR(20) NOT NULL, estimated_hours INTEGER DEFAULT 20, is_active BOOLEAN DEFAULT TRUE, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, UNIQUE(department_id, code))`);
-    
-    await pool.query(`CREATE TABLE IF NOT EXISTS resources (id SERIAL PRIMARY KEY, subject_id INTEGER REFERENCES subjects(id), title VARCHAR(255) NOT NULL, url TEXT NOT NULL, type VARCHAR(50) NOT NULL, duration_minutes INTEGER DEFAULT 0, sort_order INTEGER DEFAULT 0, is_active BOOLEAN DEFAULT TRUE, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP)`);
-    
-    await pool.query(`CREATE TABLE IF NOT EXISTS study_sessions (id SERIAL PRIMARY KEY, user_id INTEGER REFERENCES users(id), subject_id INTEGER REFERENCES subjects(id), session_type VARCHAR(50) DEFAULT 'active_recall', planned_duration INTEGER NOT NULL, actual_duration INTEGER, started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, completed_at TIMESTAMP, is_completed BOOLEAN DEFAULT FALSE)`);
-    
-    await pool.query(`CREATE TABLE IF NOT EXISTS aar_entries (id SERIAL PRIMARY KEY, user_id INTEGER REFERENCES users(id), subject_id INTEGER REFERENCES subjects(id), what_worked TEXT NOT NULL, what_blocked TEXT NOT NULL, tomorrow_plan TEXT NOT NULL, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP)`);
-    
-    await pool.query(`CREATE TABLE IF NOT EXISTS user_progress (id SERIAL PRIMARY KEY, user_id INTEGER REFERENCES users(id), resource_id INTEGER REFERENCES resources(id), completed BOOLEAN DEFAULT FALSE, completed_at TIMESTAMP, UNIQUE(user_id, resource_id))`);
+// ============================================
+// EMAIL OUTBOX
+// ============================================
+// Routes queue messages in email_outbox; a background worker delivers them with
+// exponential backoff so a transport outage delays mail instead of losing it.
 
-    // Add new columns if they don't exist (for existing databases)
-    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS unlock_requested BOOLEAN DEFAULT FALSE`);
-    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS unlock_requested_at TIMESTAMP`);
-    await pool.query(`ALTER TABLE access_codes ADD COLUMN IF NOT EXISTS sent_to_email VARCHAR(255)`);
-    await pool.query(`ALTER TABLE access_codes ADD COLUMN IF NOT EXISTS sent_at TIMESTAMP`);
-    
-    console.log('✅ Tables ready');
+const EMAIL_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 8;
+const EMAIL_WORKER_INTERVAL_MS = 15 * 1000;
+const EMAIL_BATCH_SIZE = 20;
+const EMAIL_STALE_SENDING_MINUTES = 10;
+
+// Retry delay after the given number of failed attempts: 30s, 1m, 2m, 4m ... capped at 1h
+function emailBackoffSeconds(attempts) {
+  return Math.min(30 * 2 ** (attempts - 1), 3600);
+}
+
+// message is { subject, html, text, template, locale } as built by renderEmail, plus the
+// template data and secrets when queued by queueTemplateEmail.
+// meta.accessCodeIds marks those codes as sent once delivery succeeds.
+async function queueEmail(to, message, meta = {}, db = pool) {
+  const r = await db.query(
+    'INSERT INTO email_outbox (to_email, subject, html, text_body, template, locale, meta, max_attempts, template_data, secret_data) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10) RETURNING id',
+    [to, message.subject, message.html, message.text || null, message.template || null, message.locale || null, meta, EMAIL_MAX_ATTEMPTS, message.data || null, message.secrets || null]
+  );
+  console.log(`📧 Email #${r.rows[0].id} queued for ${to}`);
+  setImmediate(processEmailOutbox);
+  return r.rows[0].id;
+}
+
+async function onEmailSent(email) {
+  const codeIds = email.meta && email.meta.accessCodeIds;
+  if (Array.isArray(codeIds) && codeIds.length > 0) {
+    await pool.query('UPDATE access_codes SET sent_at=LOCALTIMESTAMP WHERE id=ANY($1::int[])', [codeIds]);
+  }
+}
+
+// The stored body is redacted; messages holding secrets are rendered again for sending.
+// Secrets are dropped once the message is sent or given up on.
+async function deliverQueuedEmail(email) {
+  const message = email.secret_data
+    ? renderEmail(email.template, email.locale, { ...email.template_data, ...email.secret_data })
+    : { html: email.html, text: email.text_body };
+  const result = await sendEmail(email.to_email, email.subject, message.html, message.text);
+  if (result.success) {
+    await pool.query(`UPDATE email_outbox SET status='sent', sent_at=LOCALTIMESTAMP, updated_at=LOCALTIMESTAMP, transport=$2, message_id=$3, last_error=NULL, secret_data=NULL WHERE id=$1`, [email.id, result.transport, result.messageId || null]);
+    await onEmailSent(email);
+  } else if (result.permanent) {
+    await pool.query(`UPDATE email_outbox SET status='bounced', updated_at=LOCALTIMESTAMP, last_error=$2, secret_data=NULL WHERE id=$1`, [email.id, result.error]);
+  } else if (email.attempts >= email.max_attempts) {
+    await pool.query(`UPDATE email_outbox SET status='failed', updated_at=LOCALTIMESTAMP, last_error=$2, secret_data=NULL WHERE id=$1`, [email.id, result.error]);
+  } else {
+    await pool.query(`UPDATE email_outbox SET status='queued', updated_at=LOCALTIMESTAMP, last_error=$2, next_attempt_at=LOCALTIMESTAMP + make_interval(secs => $3) WHERE id=$1`, [email.id, result.error, emailBackoffSeconds(email.attempts)]);
+  }
+}
 
-    // Only insert default data if tables are empty
-    const codesCheck = await pool.query('SELECT COUNT(*) as count FROM access_codes');
-    if (parseInt(codesCheck.rows[0].count) === 0) {
-      console.log('📝 First run - inserting initial data...');
-      
-      const codes = ['OPERATIVE2024', 'MISSION2024', 'ACADEMIC2024', 'RNPATH2024', 'STUDY2024'];
-      for (const c of codes) await pool.query('INSERT INTO access_codes (code) VALUES ($1)', [c]);
-      console.log('✅ Access codes inserted');
+let emailWorkerRunning = false;
 
-      const depts = [
-        { name: 'Medicine & Nursing', code: 'MED', icon: '🏥' },
-        { name: 'Engineering', code: 'ENG', icon: '⚙️' },
-        { name: 'Science', code: 'SCI', icon: '🔬' },
-        { name: 'Business', code: 'BUS', icon: '📊' },
-        { name: 'General Studies', code: 'GEN', icon: '📚' }
-      ];
-      for (const d of depts) await pool.query('INSERT INTO departments (name, code, icon) VALUES ($1, $2, $3)', [d.name, d.code, d.icon]);
-      console.log('✅ Departments inserted');
+async function processEmailOutbox() {
+  if (emailWorkerRunning) return;
+  emailWorkerRunning = true;
+  try {
+    // A crash mid-delivery leaves rows in 'sending'; put them back in the queue
+    await pool.query(`UPDATE email_outbox SET status='queued' WHERE status='sending' AND updated_at < LOCALTIMESTAMP - make_interval(mins => $1)`, [EMAIL_STALE_SENDING_MINUTES]);
 
-      // Insert subjects (keeping your existing comprehensive list)
-      await insertDefaultSubjects();
+    while (true) {
+      // SKIP LOCKED lets several server instances share the queue without double-sending
+      const batch = await pool.query(`
+        UPDATE email_outbox SET status='sending', attempts=attempts+1, updated_at=LOCALTIMESTAMP
+        WHERE id IN (
+          SELECT id FROM email_outbox WHERE status='queued' AND next_attempt_at <= LOCALTIMESTAMP
+          ORDER BY next_attempt_at LIMIT $1 FOR UPDATE SKIP LOCKED
+        ) RETURNING *
+      `, [EMAIL_BATCH_SIZE]);
+      if (batch.rows.length === 0) break;
+      for (const email of batch.rows) await deliverQueuedEmail(email);
     }
   } catch (e) {
-    console.error('❌ Database init error:', e.message);
+    console.error('Email outbox error:', e);
+  } finally {
+    emailWorkerRunning = false;
+  }
+}
+
+// ============================================
+// EMAIL TEMPLATES
+// ============================================
+// Templates are written with the html`` tag, which escapes every interpolated value
+// unless it is itself html`` (or raw()). The text/plain part is generated from the HTML.
+
+const SUPPORTED_LOCALES = ['en', 'fr'];
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE) ? process.env.DEFAULT_LOCALE : 'en';
+
+// 'fr-CA' -> 'fr'; anything unsupported falls back to the default
+function resolveLocale(locale) {
+  const base = String(locale || '').toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(base) ? base : DEFAULT_LOCALE;
+}
+
+class SafeHtml {
+  constructor(value) { this.value = value; }
+  toString() { return this.value; }
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+}
+
+function raw(value) {
+  return new SafeHtml(String(value));
+}
+
+function renderHtmlValue(value) {
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderHtmlValue).join('');
+  if (value === null || value === undefined || value === false) return '';
+  return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((out, str, i) => out + renderHtmlValue(values[i - 1]) + str));
+}
+
+function htmlToText(markup) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' };
+  return markup
+    .replace(/<(head|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (m, href, label) => {
+      const text = label.replace(/<[^>]+>/g, '').trim();
+      return text === href ? href : `${text} (${href})`;
+    })
+    .replace(/\s*<li[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|h[1-6]|div|ul|ol|table|tr)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (m, name) => entities[name])
+    .split('\n').map(line => line.replace(/[ \t]+/g, ' ').trim()).join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+const EMAIL_LAYOUT_STRINGS = {
+  en: { signature: '— The RNPathfinders Team', unsubscribe: "Don't want these emails?", unsubscribeLink: 'Unsubscribe' },
+  fr: { signature: "— L'équipe RNPathfinders", unsubscribe: 'Vous ne souhaitez plus recevoir ces e-mails ?', unsubscribeLink: 'Se désabonner' }
+};
+
+function emailLayout({ locale, heading, color = '#00f0ff', body, unsubscribeUrl }) {
+  const strings = EMAIL_LAYOUT_STRINGS[locale];
+  return html`<!DOCTYPE html>
+<html lang="${locale}">
+<body>
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    <h1 style="color: ${color};">${heading}</h1>
+    ${body}
+    <p style="color: #888;">${strings.signature}</p>
+    ${unsubscribeUrl && html`<p style="color: #888; font-size: 12px;">${strings.unsubscribe} <a href="${unsubscribeUrl}" style="color: #888;">${strings.unsubscribeLink}</a></p>`}
+  </div>
+</body>
+</html>`;
+}
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'https://rnpathfinders.ng';
+
+// French wording for unlock criteria; English comes from UNLOCK_CRITERIA itself
+const UNLOCK_CRITERIA_FR = {
+  days: { label: 'Jours', describe: n => `${n} jours sur la matière` },
+  sessions: { label: 'Sessions', describe: n => `${n} sessions terminées` },
+  aars: { label: 'Bilans (AAR)', describe: n => `${n} bilans après action` },
+  studyMinutes: { label: "Minutes d'étude", describe: n => `${n} minutes d'étude` },
+  resourceCompletion: { label: 'Ressources terminées (%)', describe: n => `${n} % des ressources terminées` },
+  quizScore: { label: 'Score moyen aux quiz (%)', describe: n => `${n} % de score moyen aux quiz` }
+};
+
+const SAMPLE_CRITERIA = [
+  { key: 'days', label: 'Days', description: '7 days with the subject', required: 7, current: 5 },
+  { key: 'sessions', label: 'Sessions', description: '5 completed sessions', required: 5, current: 6 }
+];
+
+// Each template has sample data for previews and one renderer per locale
+const EMAIL_TEMPLATES = {
+  welcome: {
+    sample: {},
+    en: () => ({
+      subject: 'Welcome to RNPathfinders! 🎯',
+      heading: 'Welcome to RNPathfinders! 🛡️',
+      body: html`
+        <p>Your account has been successfully created.</p>
+        <p>You're now ready to begin your focused study journey. Remember:</p>
+        <ul>
+          <li>🎯 One subject at a time</li>
+          <li>⏱️ Minimum 5-minute sessions</li>
+          <li>📝 Complete AARs for reflection</li>
+        </ul>
+        <p>Good luck, Operative!</p>`
+    }),
+    fr: () => ({
+      subject: 'Bienvenue sur RNPathfinders ! 🎯',
+      heading: 'Bienvenue sur RNPathfinders ! 🛡️',
+      body: html`
+        <p>Votre compte a bien été créé.</p>
+        <p>Vous êtes prêt à commencer votre parcours d'étude. Rappel :</p>
+        <ul>
+          <li>🎯 Une matière à la fois</li>
+          <li>⏱️ Sessions de 5 minutes minimum</li>
+          <li>📝 Rédigez vos bilans (AAR) pour prendre du recul</li>
+        </ul>
+        <p>Bonne chance, Opérateur !</p>`
+    })
+  },
+
+  'password-reset': {
+    sample: { resetLink: 'https://rnpathfinders.ng/reset-password.html?token=sample-token' },
+    en: d => ({
+      subject: 'Password Reset - RNPathfinders',
+      heading: 'Password Reset Request 🔐',
+      body: html`
+        <p>You requested a password reset for your RNPathfinders account.</p>
+        <p>Click the button below to reset your password:</p>
+        <p style="text-align: center; margin: 30px 0;">
+          <a href="${d.resetLink}" style="background: linear-gradient(135deg, #00f0ff, #8338ec); color: #000; padding: 15px 30px; text-decoration: none; border-radius: 4px; font-weight: bold;">Reset Password</a>
+        </p>
+        <p style="color: #888; font-size: 12px;">This link expires in 1 hour. If you didn't request this, ignore this email.</p>
+        <p style="color: #888; font-size: 12px;">Reset link: ${d.resetLink}</p>`
+    }),
+    fr: d => ({
+      subject: 'Réinitialisation du mot de passe - RNPathfinders',
+      heading: 'Réinitialisation du mot de passe 🔐',
+      body: html`
+        <p>Vous avez demandé la réinitialisation du mot de passe de votre compte RNPathfinders.</p>
+        <p>Cliquez sur le bouton ci-dessous pour choisir un nouveau mot de passe :</p>
+        <p style="text-align: center; margin: 30px 0;">
+          <a href="${d.resetLink}" style="background: linear-gradient(135deg, #00f0ff, #8338ec); color: #000; padding: 15px 30px; text-decoration: none; border-radius: 4px; font-weight: bold;">Réinitialiser le mot de passe</a>
+        </p>
+        <p style="color: #888; font-size: 12px;">Ce lien expire dans 1 heure. Si vous n'êtes pas à l'origine de cette demande, ignorez cet e-mail.</p>
+        <p style="color: #888; font-size: 12px;">Lien : ${d.resetLink}</p>`
+    })
+  },
+
+  'password-changed': {
+    sample: {},
+    en: () => ({
+      subject: 'Password Changed - RNPathfinders',
+      heading: 'Password Changed Successfully ✅',
+      color: '#00ff88',
+      body: html`
+        <p>Your RNPathfinders password has been changed.</p>
+        <p>If you didn't make this change, please contact support immediately.</p>`
+    }),
+    fr: () => ({
+      subject: 'Mot de passe modifié - RNPathfinders',
+      heading: 'Mot de passe modifié ✅',
+      color: '#00ff88',
+      body: html`
+        <p>Le mot de passe de votre compte RNPathfinders a été modifié.</p>
+        <p>Si vous n'êtes pas à l'origine de ce changement, contactez immédiatement le support.</p>`
+    })
+  },
+
+  'unlock-request': {
+    sample: { userEmail: 'student@example.com', policyName: 'Default', criteria: SAMPLE_CRITERIA },
+    en: d => ({
+      subject: 'Unlock Request - RNPathfinders',
+      heading: 'Unlock Request 🔓',
+      color: '#ffbe0b',
+      body: html`
+        <p>User <strong>${d.userEmail}</strong> has requested to unlock their subject.</p>
+        <p>Progress (${d.policyName} policy):</p>
+        <ul>
+          ${d.criteria.map(c => html`<li>${c.label}: ${c.current}/${c.required}</li>`)}
+        </ul>
+        <p>Login to the admin panel to approve or deny this request.</p>`
+    }),
+    fr: d => ({
+      subject: 'Demande de déblocage - RNPathfinders',
+      heading: 'Demande de déblocage 🔓',
+      color: '#ffbe0b',
+      body: html`
+        <p>L'utilisateur <strong>${d.userEmail}</strong> demande le déblocage de sa matière.</p>
+        <p>Progression (politique ${d.policyName}) :</p>
+        <ul>
+          ${d.criteria.map(c => html`<li>${UNLOCK_CRITERIA_FR[c.key].label} : ${c.current}/${c.required}</li>`)}
+        </ul>
+        <p>Connectez-vous au panneau d'administration pour accepter ou refuser cette demande.</p>`
+    })
+  },
+
+  'unlock-approved': {
+    sample: {},
+    en: () => ({
+      subject: 'Subject Unlocked! 🎉 - RNPathfinders',
+      heading: 'Subject Unlocked! 🔓',
+      color: '#00ff88',
+      body: html`
+        <p>Great news! Your unlock request has been approved.</p>
+        <p>You can now choose a new subject to focus on.</p>
+        <p>Login to RNPathfinders to continue your journey!</p>`
+    }),
+    fr: () => ({
+      subject: 'Matière débloquée ! 🎉 - RNPathfinders',
+      heading: 'Matière débloquée ! 🔓',
+      color: '#00ff88',
+      body: html`
+        <p>Bonne nouvelle ! Votre demande de déblocage a été acceptée.</p>
+        <p>Vous pouvez maintenant choisir une nouvelle matière.</p>
+        <p>Connectez-vous à RNPathfinders pour continuer votre parcours !</p>`
+    })
+  },
+
+  'unlock-denied': {
+    sample: { reason: 'Keep building your session streak first.', criteria: SAMPLE_CRITERIA },
+    en: d => ({
+      subject: 'Unlock Request Update - RNPathfinders',
+      heading: 'Unlock Request Update',
+      color: '#ffbe0b',
+      body: html`
+        <p>Your unlock request was not approved at this time.</p>
+        ${d.reason && html`<p><strong>Reason:</strong> ${d.reason}</p>`}
+        <p>Please continue working on meeting the requirements:</p>
+        <ul>
+          ${d.criteria.map(c => html`<li>${c.description}</li>`)}
+        </ul>
+        <p>Keep going, Operative! 💪</p>`
+    }),
+    fr: d => ({
+      subject: 'Votre demande de déblocage - RNPathfinders',
+      heading: 'Votre demande de déblocage',
+      color: '#ffbe0b',
+      body: html`
+        <p>Votre demande de déblocage n'a pas été acceptée pour le moment.</p>
+        ${d.reason && html`<p><strong>Motif :</strong> ${d.reason}</p>`}
+        <p>Continuez à travailler pour remplir les conditions :</p>
+        <ul>
+          ${d.criteria.map(c => html`<li>${UNLOCK_CRITERIA_FR[c.key].describe(c.required)}</li>`)}
+        </ul>
+        <p>Continuez comme ça, Opérateur ! 💪</p>`
+    })
+  },
+
+  'access-codes': {
+    sample: { codes: ['OPAB12CD', 'OPEF34GH'] },
+    en: d => ({
+      subject: 'Your RNPathfinders Access Code(s) 🎯',
+      heading: `Your Access Code${d.codes.length > 1 ? 's' : ''} 🛡️`,
+      body: html`
+        <p>You've been invited to join RNPathfinders!</p>
+        <p>Use ${d.codes.length > 1 ? 'one of these codes' : 'this code'} to register:</p>
+        <ul style="list-style: none; padding: 20px; background: #1a1a2e; border-radius: 8px;">
+          ${d.codes.map(c => html`<li style="font-family: monospace; font-size: 18px; margin: 10px 0;">${c}</li>`)}
+        </ul>
+        <p>Visit <a href="${frontendUrl()}" style="color: #00f0ff;">RNPathfinders</a> to get started.</p>
+        <p style="color: #888;">Each code can only be used once.</p>`
+    }),
+    fr: d => ({
+      subject: "Vos codes d'accès RNPathfinders 🎯",
+      heading: `${d.codes.length > 1 ? "Vos codes d'accès" : "Votre code d'accès"} 🛡️`,
+      body: html`
+        <p>Vous êtes invité à rejoindre RNPathfinders !</p>
+        <p>Utilisez ${d.codes.length > 1 ? "l'un de ces codes" : 'ce code'} pour vous inscrire :</p>
+        <ul style="list-style: none; padding: 20px; background: #1a1a2e; border-radius: 8px;">
+          ${d.codes.map(c => html`<li style="font-family: monospace; font-size: 18px; margin: 10px 0;">${c}</li>`)}
+        </ul>
+        <p>Rendez-vous sur <a href="${frontendUrl()}" style="color: #00f0ff;">RNPathfinders</a> pour commencer.</p>
+        <p style="color: #888;">Chaque code ne peut être utilisé qu'une seule fois.</p>`
+    })
+  },
+
+  'verify-email': {
+    sample: { verifyLink: 'https://rnpathfinders.ng/verify-email.html?token=sample-token' },
+    en: d => ({
+      subject: 'Verify your email - RNPathfinders',
+      heading: 'Verify your email ✉️',
+      body: html`
+        <p>Please confirm that this is your email address:</p>
+        <p style="text-align: center; margin: 30px 0;">
+          <a href="${d.verifyLink}" style="background: linear-gradient(135deg, #00f0ff, #8338ec); color: #000; padding: 15px 30px; text-decoration: none; border-radius: 4px; font-weight: bold;">Verify Email</a>
+        </p>
+        <p style="color: #888; font-size: 12px;">This link expires in 48 hours.</p>`
+    }),
+    fr: d => ({
+      subject: 'Vérifiez votre adresse e-mail - RNPathfinders',
+      heading: 'Vérifiez votre adresse e-mail ✉️',
+      body: html`
+        <p>Merci de confirmer qu'il s'agit bien de votre adresse e-mail :</p>
+        <p style="text-align: center; margin: 30px 0;">
+          <a href="${d.verifyLink}" style="background: linear-gradient(135deg, #00f0ff, #8338ec); color: #000; padding: 15px 30px; text-decoration: none; border-radius: 4px; font-weight: bold;">Vérifier l'adresse</a>
+        </p>
+        <p style="color: #888; font-size: 12px;">Ce lien expire dans 48 heures.</p>`
+    })
+  },
+
+  'confirm-email-change': {
+    sample: { confirmLink: 'https://rnpathfinders.ng/confirm-email.html?token=sample-token' },
+    en: d => ({
+      subject: 'Confirm your new email - RNPathfinders',
+      heading: 'Confirm your new email ✉️',
+      body: html`
+        <p>You asked to use this address for your RNPathfinders account.</p>
+        <p style="text-align: center; margin: 30px 0;">
+          <a href="${d.confirmLink}" style="background: linear-gradient(135deg, #00f0ff, #8338ec); color: #000; padding: 15px 30px; text-decoration: none; border-radius: 4px; font-weight: bold;">Confirm Email</a>
+        </p>
+        <p style="color: #888; font-size: 12px;">This link expires in 24 hours. If you didn't ask for this, ignore this email.</p>`
+    }),
+    fr: d => ({
+      subject: 'Confirmez votre nouvelle adresse - RNPathfinders',
+      heading: 'Confirmez votre nouvelle adresse ✉️',
+      body: html`
+        <p>Vous avez demandé à utiliser cette adresse pour votre compte RNPathfinders.</p>
+        <p style="text-align: center; margin: 30px 0;">
+          <a href="${d.confirmLink}" style="background: linear-gradient(135deg, #00f0ff, #8338ec); color: #000; padding: 15px 30px; text-decoration: none; border-radius: 4px; font-weight: bold;">Confirmer l'adresse</a>
+        </p>
+        <p style="color: #888; font-size: 12px;">Ce lien expire dans 24 heures. Si vous n'êtes pas à l'origine de cette demande, ignorez cet e-mail.</p>`
+    })
+  },
+
+  'email-change-requested': {
+    sample: { newEmail: 'new-address@example.com' },
+    en: d => ({
+      subject: 'Email change requested - RNPathfinders',
+      heading: 'Email change requested',
+      color: '#ffbe0b',
+      body: html`
+        <p>Someone asked to move your RNPathfinders account to <strong>${d.newEmail}</strong>.</p>
+        <p>The change only happens once the link sent to that address is confirmed.</p>
+        <p>If you didn't make this request, change your password and contact support immediately.</p>`
+    }),
+    fr: d => ({
+      subject: "Demande de changement d'adresse - RNPathfinders",
+      heading: "Demande de changement d'adresse",
+      color: '#ffbe0b',
+      body: html`
+        <p>Une demande a été faite pour transférer votre compte RNPathfinders vers <strong>${d.newEmail}</strong>.</p>
+        <p>Le changement n'a lieu qu'une fois le lien envoyé à cette adresse confirmé.</p>
+        <p>Si vous n'êtes pas à l'origine de cette demande, changez votre mot de passe et contactez immédiatement le support.</p>`
+    })
+  },
+
+  'account-locked': {
+    sample: { minutes: 5 },
+    en: d => ({
+      subject: 'Sign-in paused on your account - RNPathfinders',
+      heading: 'Sign-in temporarily paused 🔒',
+      color: '#ffbe0b',
+      body: html`
+        <p>There were several failed attempts to sign in to your RNPathfinders account, so sign-in is paused for ${d.minutes} minutes.</p>
+        <p>If this was you, wait and try again, or reset your password to sign in straight away.</p>
+        <p>If it wasn't you, we recommend resetting your password.</p>`
+    }),
+    fr: d => ({
+      subject: 'Connexion suspendue sur votre compte - RNPathfinders',
+      heading: 'Connexion temporairement suspendue 🔒',
+      color: '#ffbe0b',
+      body: html`
+        <p>Plusieurs tentatives de connexion à votre compte RNPathfinders ont échoué : la connexion est suspendue pendant ${d.minutes} minutes.</p>
+        <p>Si c'était vous, patientez puis réessayez, ou réinitialisez votre mot de passe pour vous connecter immédiatement.</p>
+        <p>Si ce n'était pas vous, nous vous recommandons de réinitialiser votre mot de passe.</p>`
+    })
+  },
+
+  'study-reminder': {
+    sample: { streak: 4, unsubscribeUrl: 'https://rnpathfinders.ng/unsubscribe-sample' },
+    en: d => ({
+      subject: 'Time to study - RNPathfinders',
+      heading: 'Time for today\'s session ⏱️',
+      body: html`
+        <p>You haven't logged a study session today yet.</p>
+        ${d.streak > 0 && html`<p>You're on a <strong>${d.streak}-day streak</strong>. Keep it going!</p>`}
+        <p>Even a focused 5-minute session counts.</p>
+        <p><a href="${frontendUrl()}" style="color: #00f0ff;">Start a session</a></p>`
+    }),
+    fr: d => ({
+      subject: "C'est l'heure d'étudier - RNPathfinders",
+      heading: 'Votre session du jour ⏱️',
+      body: html`
+        <p>Vous n'avez pas encore enregistré de session aujourd'hui.</p>
+        ${d.streak > 0 && html`<p>Vous êtes sur une <strong>série de ${d.streak} jours</strong>. Continuez !</p>`}
+        <p>Même une session concentrée de 5 minutes compte.</p>
+        <p><a href="${frontendUrl()}" style="color: #00f0ff;">Commencer une session</a></p>`
+    })
+  },
+
+  'streak-at-risk': {
+    sample: { streak: 12, unsubscribeUrl: 'https://rnpathfinders.ng/unsubscribe-sample' },
+    en: d => ({
+      subject: `Your ${d.streak}-day streak is at risk 🔥 - RNPathfinders`,
+      heading: 'Your streak is at risk 🔥',
+      color: '#ffbe0b',
+      body: html`
+        <p>You've studied ${d.streak} days in a row, but not yet today.</p>
+        <p>Log a session before midnight to keep your streak alive.</p>
+        <p><a href="${frontendUrl()}" style="color: #00f0ff;">Start a session</a></p>`
+    }),
+    fr: d => ({
+      subject: `Votre série de ${d.streak} jours est en danger 🔥 - RNPathfinders`,
+      heading: 'Votre série est en danger 🔥',
+      color: '#ffbe0b',
+      body: html`
+        <p>Vous avez étudié ${d.streak} jours d'affilée, mais pas encore aujourd'hui.</p>
+        <p>Enregistrez une session avant minuit pour conserver votre série.</p>
+        <p><a href="${frontendUrl()}" style="color: #00f0ff;">Commencer une session</a></p>`
+    })
+  },
+
+  'weekly-digest': {
+    sample: { from: '2026-01-05', to: '2026-01-11', minutes: 245, sessions: 9, aars: 6, activeDays: 5, streak: 3, unsubscribeUrl: 'https://rnpathfinders.ng/unsubscribe-sample' },
+    en: d => ({
+      subject: 'Your week in review 📊 - RNPathfinders',
+      heading: 'Your week in review 📊',
+      body: html`
+        <p>Here's how your week of ${d.from} to ${d.to} went:</p>
+        <ul>
+          <li>⏱️ ${d.minutes} minutes studied</li>
+          <li>🎯 ${d.sessions} sessions completed</li>
+          <li>📝 ${d.aars} AARs written</li>
+          <li>📅 ${d.activeDays} of 7 days active</li>
+        </ul>
+        ${d.streak > 0 && html`<p>Current streak: <strong>${d.streak} days</strong>.</p>`}
+        <p>Keep going, Operative! 💪</p>`
+    }),
+    fr: d => ({
+      subject: 'Votre semaine en bref 📊 - RNPathfinders',
+      heading: 'Votre semaine en bref 📊',
+      body: html`
+        <p>Voici le bilan de votre semaine du ${d.from} au ${d.to} :</p>
+        <ul>
+          <li>⏱️ ${d.minutes} minutes d'étude</li>
+          <li>🎯 ${d.sessions} sessions terminées</li>
+          <li>📝 ${d.aars} bilans (AAR) rédigés</li>
+          <li>📅 ${d.activeDays} jours actifs sur 7</li>
+        </ul>
+        ${d.streak > 0 && html`<p>Série en cours : <strong>${d.streak} jours</strong>.</p>`}
+        <p>Continuez comme ça, Opérateur ! 💪</p>`
+    })
+  },
+
+  'admin-unlock-summary': {
+    sample: { pending: [{ email: 'student@example.com', requestedAt: '2026-01-10' }], unsubscribeUrl: 'https://rnpathfinders.ng/unsubscribe-sample' },
+    en: d => ({
+      subject: `${d.pending.length} pending unlock request(s) - RNPathfinders`,
+      heading: 'Pending Unlock Requests 🔓',
+      color: '#ffbe0b',
+      body: html`
+        <p>These students are waiting for a decision on their unlock request:</p>
+        <ul>
+          ${d.pending.map(p => html`<li>${p.email} (since ${p.requestedAt})</li>`)}
+        </ul>
+        <p>Login to the admin panel to approve or deny them.</p>`
+    }),
+    fr: d => ({
+      subject: `${d.pending.length} demande(s) de déblocage en attente - RNPathfinders`,
+      heading: 'Demandes de déblocage en attente 🔓',
+      color: '#ffbe0b',
+      body: html`
+        <p>Ces étudiants attendent une décision sur leur demande de déblocage :</p>
+        <ul>
+          ${d.pending.map(p => html`<li>${p.email} (depuis le ${p.requestedAt})</li>`)}
+        </ul>
+        <p>Connectez-vous au panneau d'administration pour les traiter.</p>`
+    })
+  }
+};
+
+function renderEmail(name, locale, data = {}) {
+  if (!Object.hasOwn(EMAIL_TEMPLATES, name)) throw new Error(`Unknown email template "${name}"`);
+  const template = EMAIL_TEMPLATES[name];
+  const resolved = resolveLocale(locale);
+  const { subject, heading, color, body } = template[resolved](data);
+  const markup = emailLayout({ locale: resolved, heading, color, body, unsubscribeUrl: data.unsubscribeUrl }).value;
+  return { subject, html: markup, text: htmlToText(markup), template: name, locale: resolved };
+}
+
+// Data keys holding one-time links or access codes. The outbox stores the message with
+// these redacted and keeps the real values in secret_data only until delivery ends.
+const EMAIL_SECRET_FIELDS = ['resetLink', 'verifyLink', 'confirmLink', 'codes'];
+const REDACTED = '[redacted]';
+
+function splitEmailSecrets(data = {}) {
+  const redacted = { ...data };
+  const secrets = {};
+  for (const key of EMAIL_SECRET_FIELDS) {
+    if (data[key] === undefined) continue;
+    secrets[key] = data[key];
+    redacted[key] = Array.isArray(data[key]) ? data[key].map(() => REDACTED) : REDACTED;
+  }
+  return { redacted, secrets: Object.keys(secrets).length > 0 ? secrets : null };
+}
+
+async function queueTemplateEmail(to, name, data, { locale, meta } = {}) {
+  const { redacted, secrets } = splitEmailSecrets(data);
+  return queueEmail(to, { ...renderEmail(name, locale, redacted), data: redacted, secrets }, meta);
+}
+
+// ============================================
+// SCHEMA MIGRATIONS & SEED DATA
+// ============================================
+// Schema changes live in migrations/NNN_description.sql and are applied in
+// order by `node server.js migrate up`, each in its own transaction, with
+// schema_migrations recording what has run. Never edit an applied migration;
+// add a new one. The server refuses to start while any are pending.
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+// Arbitrary key for pg_advisory_lock so two deploys can't migrate at once
+const MIGRATION_LOCK_KEY = 720301;
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: /^(\d+)_([\w-]+)\.sql$/.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      return { version: parseInt(match[1], 10), name: match[2], file, sql, checksum: crypto.createHash('sha256').update(sql).digest('hex') };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    checksum VARCHAR(64) NOT NULL,
+    applied_at TIMESTAMP DEFAULT LOCALTIMESTAMP
+  )`);
+}
+
+// Compares migrations on disk with schema_migrations; `changed` are applied files edited since
+async function getMigrationStatus(db = pool) {
+  await ensureMigrationsTable(db);
+  const appliedR = await db.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  const applied = new Map(appliedR.rows.map(row => [row.version, row]));
+  const migrations = loadMigrations().map(m => ({ ...m, applied: applied.get(m.version) || null }));
+  return {
+    migrations,
+    pending: migrations.filter(m => !m.applied),
+    changed: migrations.filter(m => m.applied && m.applied.checksum !== m.checksum),
+    missing: appliedR.rows.filter(row => !migrations.some(m => m.version === row.version))
+  };
+}
+
+async function migrateUp() {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    // Read the status under the lock so a concurrent run's work is visible
+    const { pending } = await getMigrationStatus(client);
+    for (const m of pending) {
+      try {
+        await client.query('BEGIN');
+        await client.query(m.sql);
+        await client.query('INSERT INTO schema_migrations (version, name, checksum) VALUES ($1,$2,$3)', [m.version, m.name, m.checksum]);
+        await client.query('COMMIT');
+        console.log(`✅ Applied ${m.file}`);
+      } catch (e) {
+        await client.query('ROLLBACK');
+        e.message = `${m.file}: ${e.message}`;
+        throw e;
+      }
+    }
+    return pending;
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
   }
 }
 
+// Starter catalog and access codes for a fresh install. Safe to re-run: rows that
+// already exist (by code) are left alone.
+async function seedDatabase() {
+  const codes = ['OPERATIVE2024', 'MISSION2024', 'ACADEMIC2024', 'RNPATH2024', 'STUDY2024'];
+  const codesR = await pool.query('INSERT INTO access_codes (code) SELECT unnest($1::text[]) ON CONFLICT (code) DO NOTHING RETURNING id', [codes]);
+  console.log(`✅ Access codes inserted: ${codesR.rows.length}`);
+
+  const depts = [
+    { name: 'Medicine & Nursing', code: 'MED', icon: '🏥' },
+    { name: 'Engineering', code: 'ENG', icon: '⚙️' },
+    { name: 'Science', code: 'SCI', icon: '🔬' },
+    { name: 'Business', code: 'BUS', icon: '📊' },
+    { name: 'General Studies', code: 'GEN', icon: '📚' }
+  ];
+  let deptCount = 0;
+  for (const d of depts) {
+    const r = await pool.query('INSERT INTO departments (name, code, icon) VALUES ($1, $2, $3) ON CONFLICT (code) DO NOTHING RETURNING id', [d.name, d.code, d.icon]);
+    deptCount += r.rows.length;
+  }
+  console.log(`✅ Departments inserted: ${deptCount}`);
+
+  // Insert subjects (keeping your existing comprehensive list)
+  await insertDefaultSubjects();
+}
+
 async function insertDefaultSubjects() {
   const allSubjects = {
     MED: [
@@ -208,609 +895,4647 @@ async function insertDefaultSubjects() {
   console.log('✅ Subjects inserted');
 }
 
-// JWT Middleware
-function verifyToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-  if (!token) return res.status(401).json({ error: 'No token provided' });
-  
-  jwt.verify(token, process.env.JWT_SECRET || 'rnpathfinders-secret-2024', (err, decoded) => {
-    if (err) return res.status(403).json({ error: 'Invalid token' });
-    req.user = decoded;
-    next();
-  });
-}
+// ============================================
+// ROLES & PERMISSIONS
+// ============================================
+// Admin routes declare the permission they need with requirePermission(). Roles
+// are bundles of permissions; both live in the database. The built-in roles
+// below are seeded at startup. users.is_admin is kept in sync as "holds any
+// role" for clients that only need to know whether to show the admin panel.
 
-// Generate random code
-function generateCode(prefix = 'OP', length = 6) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let code = prefix;
-  for (let i = 0; i < length; i++) {
-    code += chars.charAt(Math.floor(Math.random() * chars.length));
+const PERMISSIONS = {
+  'users.view': 'View users and their progress',
+  'users.manage': 'Delete users, clear lockouts and export user data',
+  'unlocks.manage': 'Review, approve and deny unlock requests',
+  'unlock_policies.manage': 'Create and edit unlock policies',
+  'catalog.manage': 'Manage departments, subjects and resources',
+  'content.manage': 'Manage the question bank and flashcard decks',
+  'codes.manage': 'Create and send access codes',
+  'cohorts.manage': 'Create cohorts and assign their instructors and members',
+  'emails.manage': 'View the email outbox and templates',
+  'roles.manage': 'Grant and revoke roles',
+  'audit.view': 'Read and export the audit log'
+};
+
+const BUILT_IN_ROLES = {
+  super_admin: { description: 'Full access', permissions: Object.keys(PERMISSIONS) },
+  content_editor: { description: 'Manages departments, subjects and resources', permissions: ['catalog.manage'] },
+  reviewer: { description: 'Handles unlock requests and views users', permissions: ['users.view', 'unlocks.manage'] }
+};
+
+async function seedRoles() {
+  for (const [name, description] of Object.entries(PERMISSIONS)) {
+    await pool.query('INSERT INTO permissions (name, description) VALUES ($1,$2) ON CONFLICT (name) DO UPDATE SET description=EXCLUDED.description', [name, description]);
   }
-  return code;
+  // Built-in roles gain new permissions on upgrade but are never stripped of ones granted by hand
+  for (const [name, role] of Object.entries(BUILT_IN_ROLES)) {
+    await pool.query('INSERT INTO roles (name, description) VALUES ($1,$2) ON CONFLICT (name) DO NOTHING', [name, role.description]);
+    await pool.query(
+      'INSERT INTO role_permissions (role_id, permission) SELECT r.id, p FROM roles r, unnest($2::text[]) p WHERE r.name=$1 ON CONFLICT DO NOTHING',
+      [name, role.permissions]
+    );
+  }
+  // Admins from before roles existed become super-admins
+  await pool.query(`
+    INSERT INTO user_roles (user_id, role_id)
+    SELECT u.id, r.id FROM users u, roles r
+    WHERE r.name='super_admin' AND u.is_admin=TRUE AND NOT EXISTS (SELECT 1 FROM user_roles ur WHERE ur.user_id=u.id)
+  `);
 }
 
-// =============================================
-// AUTH ROUTES
-// =============================================
+// Users holding a permission, as a subquery for "u.id IN (...)"; $n binds the permission
+function usersWithPermissionSql(param) {
+  return `SELECT ur.user_id FROM user_roles ur JOIN role_permissions rp ON rp.role_id=ur.role_id WHERE rp.permission=${param}`;
+}
 
-app.post('/api/auth/register', async (req, res) => {
-  try {
-    const { accessCode, email, password } = req.body;
-    if (!accessCode || !email || !password) return res.status(400).json({ error: 'All fields required' });
-    if (password.length < 8) return res.status(400).json({ error: 'Password must be 8+ characters' });
+async function grantRole(userId, roleName, grantedBy = null, db = pool) {
+  const r = await db.query(
+    'INSERT INTO user_roles (user_id, role_id, granted_by) SELECT $1, id, $3 FROM roles WHERE name=$2 ON CONFLICT DO NOTHING RETURNING role_id',
+    [userId, roleName, grantedBy]
+  );
+  await db.query('UPDATE users SET is_admin=TRUE WHERE id=$1', [userId]);
+  return r.rows.length > 0;
+}
 
-    const codeR = await pool.query('SELECT id,used FROM access_codes WHERE UPPER(code)=UPPER($1)', [accessCode]);
-    if (codeR.rows.length === 0) return res.status(400).json({ error: 'Invalid access code' });
-    if (codeR.rows[0].used) return res.status(400).json({ error: 'Access code already used' });
+// Ids of every super-admin. Run inside a transaction, it holds their role rows until
+// commit, so two removals cannot both pass a last-super-admin check.
+async function lockSuperAdmins(db) {
+  const r = await db.query(`SELECT ur.user_id FROM user_roles ur JOIN roles r ON ur.role_id=r.id WHERE r.name='super_admin' FOR UPDATE OF ur`);
+  return r.rows.map(row => row.user_id);
+}
 
-    const existR = await pool.query('SELECT id FROM users WHERE LOWER(email)=LOWER($1)', [email]);
-    if (existR.rows.length > 0) return res.status(400).json({ error: 'Email already registered' });
+// A positive whole-number id from a route param, query string or body field, or null.
+// Ids past the INTEGER range are rejected here rather than by Postgres.
+function parseId(value) {
+  if ((typeof value !== 'string' && typeof value !== 'number') || !/^\d+$/.test(String(value))) return null;
+  const id = Number(value);
+  return id > 0 && id <= 2147483647 ? id : null;
+}
 
-    const hashedPw = await bcrypt.hash(password, 10);
-    const userR = await pool.query('INSERT INTO users (email,password) VALUES ($1,$2) RETURNING id,email,is_admin', [email.toLowerCase(), hashedPw]);
-    const user = userR.rows[0];
+// Route params named id or ...Id must be ids; anything else is a 404 before a query runs
+function requireIdParams(req, res, next) {
+  for (const [name, value] of Object.entries(req.params)) {
+    if ((name === 'id' || name.endsWith('Id')) && !parseId(value)) return res.status(404).json({ error: 'Not found' });
+  }
+  next();
+}
 
-    await pool.query('UPDATE access_codes SET used=TRUE,used_by=$1,used_at=CURRENT_TIMESTAMP WHERE id=$2', [user.id, codeR.rows[0].id]);
+// Passes when the user holds any of the listed permissions; use after verifyToken
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (permissions.some(p => req.user.permissions.includes(p))) return next();
+    res.status(403).json({ error: 'Permission required', permission: permissions.join(' or ') });
+  };
+}
 
-    const token = jwt.sign({ userId: user.id, email: user.email, isAdmin: user.is_admin }, process.env.JWT_SECRET || 'rnpathfinders-secret-2024', { expiresIn: '7d' });
+// ============================================
+// AUDIT LOG
+// ============================================
+// Every admin mutation (and a student's self-unlock) calls recordAudit after it
+// succeeds. before/after are the affected rows as they were and as they ended up.
 
-    // Send welcome email
-    await sendEmail(email, 'Welcome to RNPathfinders! 🎯', `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h1 style="color: #00f0ff;">Welcome to RNPathfinders! 🛡️</h1>
-        <p>Your account has been successfully created.</p>
-        <p>You're now ready to begin your focused study journey. Remember:</p>
-        <ul>
-          <li>🎯 One subject at a time</li>
-          <li>⏱️ Minimum 5-minute sessions</li>
-          <li>📝 Complete AARs for reflection</li>
-        </ul>
-        <p>Good luck, Operative!</p>
-        <p style="color: #888;">— The RNPathfinders Team</p>
-      </div>
-    `);
+const AUDIT_OMIT = ['password', 'token_hash', 'token_version'];
+// The users columns an unlock or progress reset changes
+const LOCK_STATE_COLUMNS = 'primary_subject_id, subject_locked_at, lock_expires_at, onboarding_complete, unlock_requested, aar_count, session_count';
 
-    res.json({ message: 'Registration successful', token, user: { id: user.id, email: user.email, isAdmin: user.is_admin, onboardingComplete: false } });
-  } catch (e) {
-    console.error('Register error:', e);
-    res.status(500).json({ error: 'Registration failed' });
-  }
-});
+function auditSnapshot(value) {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) return value.map(auditSnapshot);
+  if (typeof value !== 'object' || value instanceof Date) return value;
+  return Object.fromEntries(Object.entries(value).filter(([key]) => !AUDIT_OMIT.includes(key)));
+}
 
-app.post('/api/auth/login', async (req, res) => {
+// Runs fn(client) in one transaction. Admin mutations do their writes and recordAudit
+// through the client so the change and its audit row commit or roll back together.
+async function withTransaction(fn) {
+  const client = await pool.connect();
   try {
-    const { email, password } = req.body;
-    if (!email || !password) return res.status(400).json({ error: 'Email and password required' });
-
-    const userR = await pool.query('SELECT * FROM users WHERE LOWER(email)=LOWER($1)', [email]);
-    if (userR.rows.length === 0) return res.status(401).json({ error: 'Invalid credentials' });
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
 
-    const user = userR.rows[0];
-    const validPw = await bcrypt.compare(password, user.password);
-    if (!validPw) return res.status(401).json({ error: 'Invalid credentials' });
+async function recordAudit(req, action, { targetType = null, targetId = null, before = null, after = null } = {}, db = pool) {
+  await db.query(
+    'INSERT INTO audit_log (actor_id, actor_email, action, target_type, target_id, before, after, ip, user_agent) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)',
+    [
+      req.user ? req.user.userId : null, req.user ? req.user.email : null, action, targetType,
+      targetId === null ? null : String(targetId),
+      before === null ? null : JSON.stringify(auditSnapshot(before)),
+      after === null ? null : JSON.stringify(auditSnapshot(after)),
+      req.ip, (req.get('user-agent') || '').slice(0, 255) || null
+    ]
+  );
+}
 
-    await pool.query('UPDATE users SET last_activity=CURRENT_TIMESTAMP WHERE id=$1', [user.id]);
+// ============================================
+// AUTH TOKENS
+// ============================================
+// Short-lived access JWTs plus rotating refresh tokens stored (hashed) in
+// refresh_tokens. Bumping users.token_version invalidates every access token a
+// user holds; refresh tokens are revoked row by row.
 
-    const token = jwt.sign({ userId: user.id, email: user.email, isAdmin: user.is_admin }, process.env.JWT_SECRET || 'rnpathfinders-secret-2024', { expiresIn: '7d' });
+const FALLBACK_JWT_SECRET = 'rnpathfinders-secret-2024';
+const JWT_SECRET = process.env.JWT_SECRET || FALLBACK_JWT_SECRET;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
 
-    res.json({ message: 'Login successful', token, user: { id: user.id, email: user.email, isAdmin: user.is_admin, onboardingComplete: user.onboarding_complete, primarySubjectId: user.primary_subject_id } });
-  } catch (e) {
-    console.error('Login error:', e);
-    res.status(500).json({ error: 'Login failed' });
-  }
-});
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
 
-// =============================================
-// FORGOT PASSWORD
-// =============================================
+// familyId ties a refresh token to the login it descends from, so reuse of a
+// rotated token can revoke that whole chain
+async function issueTokens(user, req, { familyId = crypto.randomUUID(), db = pool } = {}) {
+  const token = jwt.sign({ userId: user.id, email: user.email, isAdmin: user.is_admin, tv: user.token_version || 0 }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const r = await db.query(
+    `INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at, user_agent, ip) VALUES ($1,$2,$3,LOCALTIMESTAMP + make_interval(days => $4),$5,$6) RETURNING id`,
+    [user.id, hashToken(refreshToken), familyId, REFRESH_TOKEN_DAYS, (req.headers['user-agent'] || '').slice(0, 255), req.ip]
+  );
+  return { token, refreshToken, refreshTokenId: r.rows[0].id, expiresIn: ACCESS_TOKEN_TTL };
+}
 
-app.post('/api/auth/forgot-password', async (req, res) => {
-  try {
-    const { email } = req.body;
-    if (!email) return res.status(400).json({ error: 'Email required' });
+// Log a user out everywhere: outstanding access tokens stop verifying and no refresh token works
+async function revokeUserSessions(userId, db = pool) {
+  await db.query('UPDATE users SET token_version=token_version+1 WHERE id=$1', [userId]);
+  await db.query('UPDATE refresh_tokens SET revoked_at=LOCALTIMESTAMP WHERE user_id=$1 AND revoked_at IS NULL', [userId]);
+}
 
-    const userR = await pool.query('SELECT id,email FROM users WHERE LOWER(email)=LOWER($1)', [email]);
-    
-    // Always return success to prevent email enumeration
-    if (userR.rows.length === 0) {
-      return res.json({ message: 'If an account exists with this email, a reset link will be sent.' });
+// JWT Middleware. The user row is re-read on every request so admin rights and
+// revocations take effect immediately rather than when the token expires.
+function verifyToken(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  if (!token) return res.status(401).json({ error: 'No token provided' });
+  
+  jwt.verify(token, JWT_SECRET, async (err, decoded) => {
+    if (err && err.name === 'TokenExpiredError') return res.status(401).json({ error: 'Token expired' });
+    if (err) return res.status(403).json({ error: 'Invalid token' });
+    try {
+      const r = await pool.query(`
+        SELECT u.id, u.email, u.is_admin, u.token_version,
+               COALESCE(ARRAY(SELECT DISTINCT r.name FROM user_roles ur JOIN roles r ON ur.role_id=r.id WHERE ur.user_id=u.id), '{}') as roles,
+               COALESCE(ARRAY(SELECT DISTINCT rp.permission FROM user_roles ur JOIN role_permissions rp ON ur.role_id=rp.role_id WHERE ur.user_id=u.id), '{}') as permissions
+        FROM users u WHERE u.id=$1
+      `, [decoded.userId]);
+      const user = r.rows[0];
+      if (!user) return res.status(401).json({ error: 'Account no longer exists' });
+      if ((decoded.tv || 0) !== user.token_version) return res.status(401).json({ error: 'Session has been revoked' });
+      req.user = { userId: user.id, email: user.email, isAdmin: user.is_admin, roles: user.roles, permissions: user.permissions };
+      next();
+    } catch (e) {
+      console.error('Verify token error:', e);
+      res.status(500).json({ error: 'Failed to verify token' });
     }
+  });
+}
 
-    const user = userR.rows[0];
-    const resetToken = crypto.randomBytes(32).toString('hex');
-    const expiresAt = new Date(Date.now() + 3600000); // 1 hour
+// Per-subject resource completion for a user, weighted by duration_minutes.
+// Resources without a duration count as one minute so they still move the percentage.
+async function getResourceCompletion(userId, subjectIds) {
+  if (subjectIds.length === 0) return [];
+  const r = await pool.query(`
+    SELECT s.id, s.name, s.code,
+           COUNT(r.id)::int as total_resources,
+           (COUNT(r.id) FILTER (WHERE up.completed))::int as completed_resources,
+           COALESCE(SUM(r.duration_minutes), 0)::int as total_minutes,
+           COALESCE(SUM(r.duration_minutes) FILTER (WHERE up.completed), 0)::int as completed_minutes,
+           COALESCE(SUM(GREATEST(r.duration_minutes, 1)), 0)::int as total_weight,
+           COALESCE(SUM(GREATEST(r.duration_minutes, 1)) FILTER (WHERE up.completed), 0)::int as completed_weight
+    FROM subjects s
+    JOIN resource_subjects rs ON rs.subject_id=s.id
+    JOIN resources r ON rs.resource_id=r.id AND r.is_active=TRUE
+    LEFT JOIN user_progress up ON up.resource_id=r.id AND up.user_id=$1
+    WHERE s.id = ANY($2::int[])
+    GROUP BY s.id
+    ORDER BY s.code
+  `, [userId, subjectIds]);
+  return r.rows.map(row => ({
+    subjectId: row.id,
+    subjectName: row.name,
+    subjectCode: row.code,
+    completedResources: row.completed_resources,
+    totalResources: row.total_resources,
+    completedMinutes: row.completed_minutes,
+    totalMinutes: row.total_minutes,
+    percent: row.total_weight > 0 ? Math.round((row.completed_weight / row.total_weight) * 100) : 0
+  }));
+}
 
-    await pool.query('INSERT INTO password_resets (user_id, token, expires_at) VALUES ($1, $2, $3)', [user.id, resetToken, expiresAt]);
+const RESOURCE_TYPES = ['video', 'pdf', 'article', 'quiz', 'link'];
 
-    const resetLink = `${process.env.FRONTEND_URL || 'https://rnpathfinders.ng'}/reset-password.html?token=${resetToken}`;
+function isValidUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+// Validate the resource fields present in a request body into column values
+function parseResourceFields(body) {
+  const fields = {};
+  if (body.title !== undefined) {
+    if (!String(body.title).trim()) return { error: 'Title required' };
+    fields.title = String(body.title).trim();
+  }
+  if (body.url !== undefined) {
+    if (!isValidUrl(body.url)) return { error: 'URL must be a valid http(s) link' };
+    fields.url = body.url;
+  }
+  if (body.type !== undefined) {
+    if (!RESOURCE_TYPES.includes(body.type)) return { error: `Type must be one of: ${RESOURCE_TYPES.join(', ')}` };
+    fields.type = body.type;
+  }
+  for (const [key, column] of [['durationMinutes', 'duration_minutes'], ['sortOrder', 'sort_order']]) {
+    if (body[key] === undefined) continue;
+    const n = Number(body[key]);
+    if (!Number.isInteger(n) || n < 0) return { error: `${key} must be a whole number of 0 or more` };
+    fields[column] = n;
+  }
+  if (body.isActive !== undefined) fields.is_active = !!body.isActive;
+  return { fields };
+}
+
+async function subjectsExist(subjectIds) {
+  if (subjectIds.some(id => !Number.isInteger(Number(id)))) return false;
+  const r = await pool.query('SELECT COUNT(*)::int as count FROM subjects WHERE id=ANY($1::int[])', [subjectIds]);
+  return r.rows[0].count === new Set(subjectIds.map(Number)).size;
+}
+
+// Add a resource to a subject (or move it within one). New links go to the end of the list.
+async function linkResource(db, resourceId, subjectId, sortOrder) {
+  await db.query(`
+    INSERT INTO resource_subjects (resource_id, subject_id, sort_order)
+    VALUES ($1, $2, COALESCE($3, (SELECT COALESCE(MAX(sort_order),0)+1 FROM resource_subjects WHERE subject_id=$2)))
+    ON CONFLICT (resource_id, subject_id) DO UPDATE SET sort_order=COALESCE($3, resource_subjects.sort_order)
+  `, [resourceId, subjectId, sortOrder === undefined ? null : sortOrder]);
+}
+
+const RESOURCE_SUBJECTS_SQL = `(SELECT json_agg(json_build_object('id', s2.id, 'code', s2.code, 'name', s2.name, 'sortOrder', rs2.sort_order) ORDER BY s2.code) FROM resource_subjects rs2 JOIN subjects s2 ON rs2.subject_id=s2.id WHERE rs2.resource_id=r.id) as subjects`;
+
+async function getAdminResource(resourceId, db = pool) {
+  const r = await db.query(`SELECT r.*,${RESOURCE_SUBJECTS_SQL} FROM resources r WHERE r.id=$1`, [resourceId]);
+  return r.rows[0];
+}
+
+async function setResourceCompletion(userId, resourceId, completed) {
+  const resourceR = await pool.query('SELECT id FROM resources WHERE id=$1 AND is_active=TRUE', [resourceId]);
+  if (resourceR.rows.length === 0) return null;
+  const r = await pool.query(`
+    INSERT INTO user_progress (user_id, resource_id, completed, completed_at)
+    VALUES ($1, $2, $3, CASE WHEN $3 THEN CURRENT_TIMESTAMP END)
+    ON CONFLICT (user_id, resource_id)
+    DO UPDATE SET completed=EXCLUDED.completed, completed_at=EXCLUDED.completed_at
+    RETURNING *
+  `, [userId, resourceId, completed]);
+  await pool.query('UPDATE users SET last_activity=CURRENT_TIMESTAMP WHERE id=$1', [userId]);
+  return r.rows[0];
+}
+
+// =============================================
+// TIMEZONES
+// =============================================
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Africa/Lagos';
+const MAX_REST_DAYS_PER_WEEK = 3;
+
+function isValidTimezone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+async function getUserTimezone(userId) {
+  const r = await pool.query('SELECT timezone FROM users WHERE id=$1', [userId]);
+  return r.rows[0]?.timezone || DEFAULT_TIMEZONE;
+}
+
+// A real calendar date written as YYYY-MM-DD; rejects rolled-over dates like 2024-02-31
+function isValidDateString(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(value + 'T00:00:00Z');
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+// Today's date (YYYY-MM-DD) in the given zone
+function localToday(tz) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date());
+}
+
+// Calendar day of a TIMESTAMP column in the zone bound to tzParam. Columns hold the
+// database session's local time, so they are read in that zone before converting.
+function localDateSql(column, tzParam) {
+  return `DATE((${column} AT TIME ZONE current_setting('TimeZone')) AT TIME ZONE ${tzParam})`;
+}
+
+function todaySql(tzParam) {
+  return `DATE(CURRENT_TIMESTAMP AT TIME ZONE ${tzParam})`;
+}
+
+// Consecutive study days ending today, or yesterday while today has no session yet.
+// Up to restDaysPerWeek missed days per Monday-start week don't break the streak.
+function computeStreak(studyDates, today, restDaysPerWeek = 0) {
+  if (studyDates.length === 0) return 0;
+  const studied = new Set(studyDates);
+  const earliest = studyDates.reduce((a, b) => (a < b ? a : b));
+  const missedByWeek = new Map();
+  const day = new Date(today + 'T00:00:00Z');
+  if (!studied.has(today)) day.setUTCDate(day.getUTCDate() - 1);
+
+  let streak = 0;
+  for (let date = day.toISOString().slice(0, 10); date >= earliest; date = day.toISOString().slice(0, 10)) {
+    if (studied.has(date)) {
+      streak++;
+    } else {
+      const week = periodStart(date, 'week');
+      const missed = (missedByWeek.get(week) || 0) + 1;
+      if (missed > restDaysPerWeek) break;
+      missedByWeek.set(week, missed);
+    }
+    day.setUTCDate(day.getUTCDate() - 1);
+  }
+  return streak;
+}
+
+// Whole calendar days since the subject was locked, in the user's zone
+async function getDaysPassed(userId) {
+  const r = await pool.query(`
+    SELECT COALESCE(${todaySql('$2')} - ${localDateSql('subject_locked_at', '$2')}, 0) as days
+    FROM users WHERE id=$1
+  `, [userId, await getUserTimezone(userId)]);
+  return r.rows[0] ? r.rows[0].days : 0;
+}
+
+// =============================================
+// UNLOCK POLICIES
+// =============================================
+
+// Used if every unscoped policy has been deactivated
+const DEFAULT_UNLOCK_POLICY = { id: null, name: 'Default', min_days: 7, min_sessions: 5, min_aars: 3, min_study_minutes: 0, min_resource_completion: 0, min_quiz_score: 0 };
+
+// Each criterion maps a policy column to a measured progress value.
+// A criterion whose required value is 0 is not part of the policy.
+const UNLOCK_CRITERIA = [
+  { key: 'days', column: 'min_days', label: 'Days', describe: n => `${n} days with the subject` },
+  { key: 'sessions', column: 'min_sessions', label: 'Sessions', describe: n => `${n} completed sessions` },
+  { key: 'aars', column: 'min_aars', label: 'AARs', describe: n => `${n} after-action reviews` },
+  { key: 'studyMinutes', column: 'min_study_minutes', label: 'Study minutes', describe: n => `${n} minutes of study` },
+  { key: 'resourceCompletion', column: 'min_resource_completion', label: 'Resources completed (%)', describe: n => `${n}% of resources completed` },
+  { key: 'quizScore', column: 'min_quiz_score', label: 'Average quiz score (%)', describe: n => `${n}% average quiz score` }
+];
+
+// Most specific active policy wins: subject, then department, then the unscoped default
+async function getUnlockPolicy(subjectId) {
+  const r = await pool.query(`
+    SELECT p.* FROM unlock_policies p
+    LEFT JOIN subjects s ON s.id=$1
+    WHERE p.is_active=TRUE
+      AND (p.subject_id=$1
+        OR (p.subject_id IS NULL AND p.department_id=s.department_id)
+        OR (p.subject_id IS NULL AND p.department_id IS NULL))
+    ORDER BY (p.subject_id IS NOT NULL) DESC, (p.department_id IS NOT NULL) DESC, p.updated_at DESC
+    LIMIT 1
+  `, [subjectId]);
+  return r.rows[0] || DEFAULT_UNLOCK_POLICY;
+}
+
+// Measure a user's progress on their locked subject for every criterion
+async function getUnlockProgress(user) {
+  const daysPassed = await getDaysPassed(user.id);
+  const minutesR = await pool.query(`
+    SELECT (
+      (SELECT COALESCE(SUM(actual_duration),0) FROM study_sessions WHERE user_id=$1 AND subject_id=$2 AND is_completed=TRUE AND completed_at >= $3)
+      + (SELECT COALESCE(SUM(duration_seconds),0) FROM flashcard_reviews WHERE user_id=$1 AND subject_id=$2 AND reviewed_at >= $3) / 60
+    )::int as minutes
+  `, [user.id, user.primary_subject_id, user.subject_locked_at]);
+  const [completion] = await getResourceCompletion(user.id, [user.primary_subject_id]);
+  const quizR = await pool.query('SELECT ROUND(AVG(score))::int as score FROM quizzes WHERE user_id=$1 AND subject_id=$2 AND submitted_at IS NOT NULL AND started_at >= $3', [user.id, user.primary_subject_id, user.subject_locked_at]);
+  return {
+    days: daysPassed,
+    sessions: user.session_count || 0,
+    aars: user.aar_count || 0,
+    studyMinutes: minutesR.rows[0].minutes,
+    // A subject with no resources has nothing left to complete
+    resourceCompletion: completion ? completion.percent : 100,
+    quizScore: quizR.rows[0].score || 0
+  };
+}
+
+function evaluateUnlockPolicy(policy, progress) {
+  const criteria = UNLOCK_CRITERIA
+    .filter(c => policy[c.column] > 0)
+    .map(c => ({
+      key: c.key,
+      label: c.label,
+      description: c.describe(policy[c.column]),
+      required: policy[c.column],
+      current: progress[c.key],
+      met: progress[c.key] >= policy[c.column]
+    }));
+  return { policy: { id: policy.id, name: policy.name }, criteria, requirementsMet: criteria.every(c => c.met) };
+}
+
+async function getUnlockStatus(user) {
+  const policy = await getUnlockPolicy(user.primary_subject_id);
+  const progress = await getUnlockProgress(user);
+  return { progress, ...evaluateUnlockPolicy(policy, progress) };
+}
+
+// Validate camelCase policy fields from a request body into column values
+function parsePolicyFields(body, partial) {
+  const fields = {};
+  if (body.name !== undefined || !partial) {
+    if (!body.name || !String(body.name).trim()) return { error: 'Name required' };
+    fields.name = String(body.name).trim();
+  }
+  for (const [key, column] of [['departmentId', 'department_id'], ['subjectId', 'subject_id']]) {
+    if (body[key] === undefined) continue;
+    if (body[key] && !Number.isInteger(Number(body[key]))) return { error: `${key} must be an id` };
+    fields[column] = body[key] ? Number(body[key]) : null;
+  }
+  if (fields.department_id && fields.subject_id) return { error: 'A policy applies to a department or a subject, not both' };
+  const numeric = { minDays: 'min_days', minSessions: 'min_sessions', minAars: 'min_aars', minStudyMinutes: 'min_study_minutes', minResourceCompletion: 'min_resource_completion', minQuizScore: 'min_quiz_score' };
+  for (const [key, column] of Object.entries(numeric)) {
+    if (body[key] === undefined) continue;
+    const n = Number(body[key]);
+    if (!Number.isInteger(n) || n < 0) return { error: `${key} must be a whole number of 0 or more` };
+    if ((column === 'min_resource_completion' || column === 'min_quiz_score') && n > 100) return { error: `${key} must be a percentage` };
+    fields[column] = n;
+  }
+  if (body.isActive !== undefined) fields.is_active = !!body.isActive;
+  return { fields };
+}
+
+// Pending unlock requests with each student's progress against their policy, optionally for one cohort
+async function getPendingUnlockRequests(cohortId = null) {
+  const r = await pool.query(`
+    SELECT u.id, u.email, u.session_count, u.aar_count, u.subject_locked_at, ur.created_at as unlock_requested_at,
+           ur.id as request_id, ur.subject_lock_id, ur.justification, u.primary_subject_id, u.total_study_minutes, s.name as subject_name, s.code as subject_code
+    FROM unlock_requests ur
+    JOIN users u ON ur.user_id = u.id
+    LEFT JOIN subjects s ON u.primary_subject_id = s.id
+    WHERE ur.status = 'pending' AND ($1::int IS NULL OR u.id IN (SELECT user_id FROM cohort_members WHERE cohort_id=$1))
+    ORDER BY ur.created_at DESC
+  `, [cohortId]);
+
+  return Promise.all(r.rows.map(async row => {
+    const [completion] = row.primary_subject_id ? await getResourceCompletion(row.id, [row.primary_subject_id]) : [];
+    const status = await getUnlockStatus(row);
+    return {
+      ...row,
+      days_passed: status.progress.days,
+      resource_completion: completion || null,
+      policy: status.policy,
+      requirements: status.criteria,
+      requirements_met: status.requirementsMet
+    };
+  }));
+}
+
+// Generate random code
+function generateCode(prefix = 'OP', length = 6) {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+  let code = prefix;
+  for (let i = 0; i < length; i++) {
+    code += chars.charAt(crypto.randomInt(chars.length));
+  }
+  return code;
+}
+
+const MAX_CODES_PER_BATCH = 500;
+const CODE_STATUSES = ['unused', 'used', 'expired', 'revoked'];
+// "unused" means still redeemable, even if a multi-use code has been redeemed some of its uses
+const CODE_STATUS_SQL = `CASE WHEN ac.revoked_at IS NOT NULL THEN 'revoked' WHEN ac.use_count >= ac.max_uses THEN 'used' WHEN ac.expires_at <= LOCALTIMESTAMP THEN 'expired' ELSE 'unused' END`;
+
+// Validate code generation options from a request body; returns { options } or { error }
+async function parseCodeOptions(body, { defaultCount, maxCount = MAX_CODES_PER_BATCH }) {
+  const count = body.count === undefined ? defaultCount : Number(body.count);
+  if (!Number.isInteger(count) || count < 1 || count > maxCount) return { error: `count must be a whole number from 1 to ${maxCount}` };
+  const prefix = body.prefix === undefined ? 'OP' : String(body.prefix).toUpperCase();
+  if (!/^[A-Z0-9]{0,10}$/.test(prefix)) return { error: 'prefix must be up to 10 letters or digits' };
+  const maxUses = body.maxUses === undefined ? 1 : Number(body.maxUses);
+  if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > 10000) return { error: 'maxUses must be a whole number from 1 to 10000' };
+
+  let expiresAt = null, expiresInDays = null;
+  if (body.expiresAt) {
+    expiresAt = new Date(body.expiresAt);
+    if (isNaN(expiresAt) || expiresAt <= new Date()) return { error: 'expiresAt must be a future date' };
+  } else if (body.expiresInDays !== undefined) {
+    expiresInDays = Number(body.expiresInDays);
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1) return { error: 'expiresInDays must be a whole number of 1 or more' };
+  }
+
+  for (const key of ['departmentId', 'subjectId', 'cohortId']) {
+    if (body[key] && !parseId(body[key])) return { error: `${key} must be an id` };
+  }
+  const departmentId = parseId(body.departmentId);
+  const subjectId = parseId(body.subjectId);
+  const cohortId = parseId(body.cohortId);
+  if (departmentId && !(await pool.query('SELECT id FROM departments WHERE id=$1', [departmentId])).rows.length) return { error: 'Department not found' };
+  if (subjectId) {
+    const subjectR = await pool.query('SELECT department_id FROM subjects WHERE id=$1', [subjectId]);
+    if (subjectR.rows.length === 0) return { error: 'Subject not found' };
+    if (departmentId && subjectR.rows[0].department_id !== departmentId) return { error: 'Subject is not in that department' };
+  }
+  if (cohortId && !await activeCohortExists(cohortId)) return { error: 'Cohort not found' };
+  const campaign = body.campaign ? String(body.campaign).trim().slice(0, 100) : null;
+
+  return { options: { count, prefix, maxUses, expiresAt, expiresInDays, departmentId, subjectId, cohortId, campaign } };
+}
+
+// Inserts a batch in one statement per attempt, regenerating only the codes that collided
+async function createAccessCodes(options, { createdBy = null, sentToEmail = null } = {}, db = pool) {
+  let campaignId = null;
+  if (options.campaign) {
+    const campaignR = await db.query('INSERT INTO access_code_campaigns (name, created_by) VALUES ($1,$2) RETURNING id', [options.campaign, createdBy]);
+    campaignId = campaignR.rows[0].id;
+  }
+  const created = [];
+  for (let attempt = 0; created.length < options.count && attempt < 5; attempt++) {
+    const candidates = Array.from({ length: options.count - created.length }, () => generateCode(options.prefix));
+    const r = await db.query(`
+      INSERT INTO access_codes (code, max_uses, expires_at, department_id, subject_id, cohort_id, campaign_id, sent_to_email)
+      SELECT c, $2, COALESCE($3::timestamptz AT TIME ZONE current_setting('TimeZone'), LOCALTIMESTAMP + make_interval(days => $4)), $5, $6, $7, $8, $9
+      FROM unnest($1::text[]) c
+      ON CONFLICT (code) DO NOTHING
+      RETURNING id, code
+    `, [candidates, options.maxUses, options.expiresAt, options.expiresInDays, options.departmentId, options.subjectId, options.cohortId, campaignId, sentToEmail]);
+    created.push(...r.rows);
+  }
+  if (created.length < options.count) throw new Error(`Only generated ${created.length} of ${options.count} unique codes`);
+  return { campaignId, codes: created.map(row => row.code), codeIds: created.map(row => row.id) };
+}
+
+async function lockSubject(db, userId, subjectId) {
+  const policy = await getUnlockPolicy(subjectId);
+  const lockExpires = new Date(Date.now() + policy.min_days * 24 * 60 * 60 * 1000);
+  await db.query('UPDATE users SET primary_subject_id=$1,subject_locked_at=CURRENT_TIMESTAMP,lock_expires_at=$2,onboarding_complete=TRUE WHERE id=$3', [subjectId, lockExpires, userId]);
+  await db.query('INSERT INTO subject_locks (user_id, subject_id, locked_at, lock_expires_at) SELECT id, primary_subject_id, subject_locked_at, lock_expires_at FROM users WHERE id=$1', [userId]);
+  return policy;
+}
+
+// Ends the current lock: closes its subject_locks row with the counts reached, settles the
+// pending unlock request (or records an auto-approved one) and clears the lock on users.
+// Self-unlocks keep the counters, as they always have. Run it inside withTransaction.
+// Returns null if nothing is locked.
+async function endSubjectLock(db, userId, { reason, endedBy = null, requestStatus, reviewReason = null, progress = null }) {
+  const userR = await db.query(`SELECT ${LOCK_STATE_COLUMNS} FROM users WHERE id=$1 FOR UPDATE`, [userId]);
+  const before = userR.rows[0];
+  if (!before || !before.primary_subject_id) return null;
+  const lockR = await db.query(`
+    UPDATE subject_locks SET unlocked_at=LOCALTIMESTAMP, end_reason=$2, ended_by=$3, session_count=$4, aar_count=$5
+    WHERE user_id=$1 AND unlocked_at IS NULL RETURNING id
+  `, [userId, reason, endedBy, before.session_count || 0, before.aar_count || 0]);
+  const lockId = lockR.rows[0] ? lockR.rows[0].id : null;
+
+  let requestR = await db.query(`
+    UPDATE unlock_requests SET status=$2, reviewed_by=$3, review_reason=$4, reviewed_at=LOCALTIMESTAMP, progress=COALESCE($5, progress)
+    WHERE user_id=$1 AND status='pending' RETURNING id, status
+  `, [userId, requestStatus, endedBy, reviewReason, progress && JSON.stringify(progress)]);
+  if (requestR.rows.length === 0 && requestStatus === 'auto_approved') {
+    requestR = await db.query(`
+      INSERT INTO unlock_requests (user_id, subject_lock_id, status, progress, reviewed_at)
+      VALUES ($1,$2,'auto_approved',$3,LOCALTIMESTAMP) RETURNING id, status
+    `, [userId, lockId, progress && JSON.stringify(progress)]);
+  }
+
+  const resetCounts = reason === 'auto_unlock' ? '' : ', aar_count=0, session_count=0';
+  const afterR = await db.query(`UPDATE users SET primary_subject_id=NULL, subject_locked_at=NULL, lock_expires_at=NULL, onboarding_complete=FALSE, unlock_requested=FALSE${resetCounts} WHERE id=$1 RETURNING ${LOCK_STATE_COLUMNS}`, [userId]);
+  return { before, after: afterR.rows[0], lockId, requestId: requestR.rows[0] ? requestR.rows[0].id : null };
+}
+
+// Every subject a user has locked into with the unlock requests made against each lock.
+// Reviewer and ender emails are only included for staff views.
+async function getSubjectHistory(userId, { includeStaff = false } = {}) {
+  const locksR = await pool.query(`
+    SELECT sl.id, sl.subject_id, s.code as subject_code, s.name as subject_name, sl.locked_at, sl.lock_expires_at,
+           sl.unlocked_at, sl.end_reason, sl.session_count, sl.aar_count, e.email as ended_by_email
+    FROM subject_locks sl
+    JOIN subjects s ON sl.subject_id=s.id
+    LEFT JOIN users e ON sl.ended_by=e.id
+    WHERE sl.user_id=$1 ORDER BY sl.locked_at DESC, sl.id DESC
+  `, [userId]);
+  const requestsR = await pool.query(`
+    SELECT ur.id, ur.subject_lock_id, ur.status, ur.justification, ur.progress, ur.review_reason, ur.created_at, ur.reviewed_at,
+           rv.email as reviewed_by_email
+    FROM unlock_requests ur
+    LEFT JOIN users rv ON ur.reviewed_by=rv.id
+    WHERE ur.user_id=$1 ORDER BY ur.created_at DESC, ur.id DESC
+  `, [userId]);
+
+  const strip = (row, key) => {
+    if (includeStaff) return row;
+    const { [key]: omitted, ...rest } = row;
+    return rest;
+  };
+  const requests = requestsR.rows.map(row => strip(row, 'reviewed_by_email'));
+  const locks = locksR.rows.map(row => ({
+    ...strip(row, 'ended_by_email'),
+    current: row.unlocked_at === null,
+    requests: requests.filter(r => r.subject_lock_id === row.id)
+  }));
+  return { locks, requests };
+}
+
+// Flattens a subject history into one chronological list of events
+function buildSubjectTimeline({ locks, requests }) {
+  const events = [];
+  // Requests first so a review sorts ahead of the unlock it caused (they share a timestamp)
+  for (const request of requests) {
+    if (request.status !== 'auto_approved') events.push({ at: request.created_at, event: 'unlock_requested', requestId: request.id, lockId: request.subject_lock_id, justification: request.justification });
+    if (request.reviewed_at) events.push({ at: request.reviewed_at, event: `unlock_${request.status}`, requestId: request.id, lockId: request.subject_lock_id, by: request.reviewed_by_email || null, reason: request.review_reason });
+  }
+  for (const lock of locks) {
+    events.push({ at: lock.locked_at, event: 'locked', lockId: lock.id, subjectId: lock.subject_id, subjectName: lock.subject_name });
+    if (lock.unlocked_at) events.push({ at: lock.unlocked_at, event: 'unlocked', lockId: lock.id, subjectId: lock.subject_id, subjectName: lock.subject_name, reason: lock.end_reason, by: lock.ended_by_email || null, sessionCount: lock.session_count, aarCount: lock.aar_count });
+  }
+  return events.sort((a, b) => a.at - b.at);
+}
+
+// CSV helpers (RFC 4180 quoting)
+function toCsv(rows, columns) {
+  const escape = v => {
+    if (v === null || v === undefined) return '';
+    const str = v instanceof Date ? v.toISOString() : typeof v === 'object' ? JSON.stringify(v) : String(v);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return [columns.join(','), ...rows.map(row => columns.map(c => escape(row[c])).join(','))].join('\r\n') + '\r\n';
+}
+
+// Returns one object per data row, keyed by the header row
+function parseCsv(text) {
+  const records = [];
+  let record = [], field = '', inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else field += ch;
+    } else if (ch === '"') inQuotes = true;
+    else if (ch === ',') { record.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      record.push(field); field = '';
+      if (record.some(f => f !== '')) records.push(record);
+      record = [];
+    } else field += ch;
+  }
+  record.push(field);
+  if (record.some(f => f !== '')) records.push(record);
+
+  const [header = [], ...rows] = records;
+  const keys = header.map(h => h.trim().toLowerCase());
+  return rows.map(r => Object.fromEntries(keys.map((k, i) => [k, r[i] === undefined ? '' : r[i]])));
+}
+
+function sendCsv(res, filename, rows, columns) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(toCsv(rows, columns));
+}
+
+// Minimal ZIP writer (deflate, no zip64) for data exports. files: [{ name, content }]
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC32_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function createZip(files, date = new Date()) {
+  const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  const entries = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name);
+    const data = Buffer.from(file.content);
+    const compressed = zlib.deflateRawSync(data);
+    // Fields shared by the local header (from offset 4) and the central directory entry (from offset 6)
+    const common = Buffer.alloc(26);
+    common.writeUInt16LE(20, 0);            // version needed
+    common.writeUInt16LE(0x0800, 2);        // UTF-8 names
+    common.writeUInt16LE(8, 4);             // deflate
+    common.writeUInt16LE(dosTime, 6);
+    common.writeUInt16LE(dosDate, 8);
+    common.writeUInt32LE(crc32(data), 10);
+    common.writeUInt32LE(compressed.length, 14);
+    common.writeUInt32LE(data.length, 18);
+    common.writeUInt16LE(name.length, 22);
+
+    const local = Buffer.alloc(4);
+    local.writeUInt32LE(0x04034b50, 0);
+    entries.push(local, common, name, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);           // version made by
+    common.copy(central, 6);
+    central.writeUInt32LE(offset, 42);
+    directory.push(central, name);
+
+    offset += 30 + name.length + compressed.length;
+  }
+
+  const directorySize = directory.reduce((sum, b) => sum + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directorySize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...entries, ...directory, end]);
+}
+
+// ============================================
+// RATE LIMITING & LOCKOUT
+// ============================================
+// Fixed-window counters keyed per IP or per account. The store is pluggable:
+// memory (default, single instance) or postgres (shared between instances),
+// chosen by RATE_LIMIT_STORE.
+
+class MemoryRateLimitStore {
+  constructor() {
+    this.hits = new Map();
+    // Forget finished windows so the map doesn't grow forever
+    setInterval(() => {
+      const now = Date.now();
+      for (const [key, hit] of this.hits) if (hit.resetAt <= now) this.hits.delete(key);
+    }, 60 * 1000).unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let hit = this.hits.get(key);
+    if (!hit || hit.resetAt <= now) {
+      hit = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, hit);
+    }
+    hit.count++;
+    return { count: hit.count, resetAt: hit.resetAt };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+}
+
+class PostgresRateLimitStore {
+  async increment(key, windowMs) {
+    const r = await pool.query(`
+      INSERT INTO rate_limits (key, count, reset_at) VALUES ($1, 1, LOCALTIMESTAMP + make_interval(secs => $2))
+      ON CONFLICT (key) DO UPDATE SET
+        count = CASE WHEN rate_limits.reset_at <= LOCALTIMESTAMP THEN 1 ELSE rate_limits.count + 1 END,
+        reset_at = CASE WHEN rate_limits.reset_at <= LOCALTIMESTAMP THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+      RETURNING count, EXTRACT(EPOCH FROM (reset_at - LOCALTIMESTAMP)) * 1000 as remaining_ms
+    `, [key, windowMs / 1000]);
+    return { count: r.rows[0].count, resetAt: Date.now() + Number(r.rows[0].remaining_ms) };
+  }
+
+  async reset(key) {
+    await pool.query('DELETE FROM rate_limits WHERE key=$1', [key]);
+  }
+}
+
+const rateLimitStores = { memory: MemoryRateLimitStore, postgres: PostgresRateLimitStore };
+const rateLimitStore = new (rateLimitStores[process.env.RATE_LIMIT_STORE] || MemoryRateLimitStore)();
+
+// keyFn returns the value to count against (an IP, an email), or null to skip the check
+function createRateLimiter({ name, windowMs, max, keyFn, message = 'Too many requests. Please try again later.' }) {
+  const storeKey = value => `${name}:${String(value).toLowerCase()}`;
+  const limiter = async (req, res, next) => {
+    try {
+      const value = keyFn(req);
+      if (!value) return next();
+      const { count, resetAt } = await rateLimitStore.increment(storeKey(value), windowMs);
+      if (count > max) {
+        res.set('Retry-After', String(Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))));
+        return res.status(429).json({ error: message });
+      }
+      next();
+    } catch (e) {
+      // Never lock everyone out because the limiter's store is unavailable
+      console.error(`Rate limiter ${name} error:`, e);
+      next();
+    }
+  };
+  limiter.reset = value => rateLimitStore.reset(storeKey(value));
+  return limiter;
+}
+
+const MINUTE = 60 * 1000;
+const byIp = req => req.ip;
+const byEmail = req => (typeof req.body.email === 'string' ? req.body.email.trim() : null);
+
+const rateLimits = {
+  loginIp: createRateLimiter({ name: 'login-ip', windowMs: 15 * MINUTE, max: 30, keyFn: byIp }),
+  loginAccount: createRateLimiter({ name: 'login-account', windowMs: 15 * MINUTE, max: 10, keyFn: byEmail }),
+  registerIp: createRateLimiter({ name: 'register-ip', windowMs: 60 * MINUTE, max: 10, keyFn: byIp }),
+  forgotIp: createRateLimiter({ name: 'forgot-ip', windowMs: 60 * MINUTE, max: 10, keyFn: byIp }),
+  forgotAccount: createRateLimiter({ name: 'forgot-account', windowMs: 60 * MINUTE, max: 3, keyFn: byEmail }),
+  resetIp: createRateLimiter({ name: 'reset-ip', windowMs: 15 * MINUTE, max: 20, keyFn: byIp }),
+  refreshIp: createRateLimiter({ name: 'refresh-ip', windowMs: 15 * MINUTE, max: 60, keyFn: byIp })
+};
+
+// After LOCKOUT_THRESHOLD consecutive failures an account is locked, for twice as
+// long on each further failure: 5, 10, 20 ... minutes, capped at a day.
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_MINUTES = 5;
+const LOCKOUT_MAX_MINUTES = 24 * 60;
+
+// Compared against when the email is unknown so response timing doesn't reveal it
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+function lockoutMinutes(failures) {
+  return Math.min(LOCKOUT_BASE_MINUTES * 2 ** (failures - LOCKOUT_THRESHOLD), LOCKOUT_MAX_MINUTES);
+}
+
+async function recordFailedLogin(user) {
+  const r = await pool.query('UPDATE users SET failed_login_attempts=failed_login_attempts+1, last_failed_login_at=LOCALTIMESTAMP WHERE id=$1 RETURNING failed_login_attempts', [user.id]);
+  const failures = r.rows[0].failed_login_attempts;
+  if (failures < LOCKOUT_THRESHOLD) return;
+  const minutes = lockoutMinutes(failures);
+  await pool.query('UPDATE users SET locked_until=LOCALTIMESTAMP + make_interval(mins => $2) WHERE id=$1', [user.id, minutes]);
+  console.warn(`⚠️ Account ${user.id} locked for ${minutes} minutes after ${failures} failed logins`);
+  // Login answers a locked account exactly like a wrong password, so the owner hears about it by email
+  if (failures === LOCKOUT_THRESHOLD) await queueTemplateEmail(user.email, 'account-locked', { minutes }, { locale: user.locale });
+}
+
+// =============================================
+// AUTH ROUTES
+// =============================================
+
+app.post('/api/auth/register', rateLimits.registerIp, async (req, res) => {
+  try {
+    const { accessCode, email, password, timezone, locale } = req.body;
+    if (!accessCode || !email || !password) return res.status(400).json({ error: 'All fields required' });
+    if (password.length < MIN_PASSWORD_LENGTH) return res.status(400).json({ error: 'Password must be 8+ characters' });
+    if (!isValidEmail(email)) return res.status(400).json({ error: 'Invalid email address' });
+
+    // Checked before the email so that only code holders can probe for registered addresses
+    const codeR = await pool.query(`SELECT id FROM access_codes ac WHERE UPPER(code)=UPPER($1) AND ${CODE_STATUS_SQL}='unused'`, [accessCode]);
+    if (codeR.rows.length === 0) return res.status(400).json({ error: 'Invalid access code' });
+
+    const existR = await pool.query('SELECT id FROM users WHERE LOWER(email)=LOWER($1)', [email]);
+    if (existR.rows.length > 0) return res.status(400).json({ error: 'Email already registered' });
+
+    const hashedPw = await bcrypt.hash(password, 10);
+    // The browser's zone (Intl.DateTimeFormat().resolvedOptions().timeZone) becomes the user's default
+    const userTz = isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+
+    // The code is claimed in the same transaction that creates the user, so two
+    // registrations can't both take a code's last use
+    const client = await pool.connect();
+    let user;
+    try {
+      await client.query('BEGIN');
+      const userR = await client.query('INSERT INTO users (email,password,timezone,locale) VALUES ($1,$2,$3,$4) RETURNING id,email,is_admin,locale,token_version', [email.toLowerCase(), hashedPw, userTz, resolveLocale(locale)]);
+      user = userR.rows[0];
+      await client.query('INSERT INTO email_preferences (user_id) VALUES ($1)', [user.id]);
+      const claimR = await client.query(`
+        UPDATE access_codes SET use_count=use_count+1, used=(use_count+1 >= max_uses), used_by=$2, used_at=LOCALTIMESTAMP
+        WHERE id=$1 AND revoked_at IS NULL AND use_count < max_uses AND (expires_at IS NULL OR expires_at > LOCALTIMESTAMP)
+        RETURNING id, cohort_id, department_id, subject_id
+      `, [codeR.rows[0].id, user.id]);
+      if (claimR.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Invalid access code' });
+      }
+      const code = claimR.rows[0];
+      await client.query('INSERT INTO access_code_redemptions (code_id, user_id) VALUES ($1,$2)', [code.id, user.id]);
+      if (code.cohort_id) {
+        await client.query('INSERT INTO cohort_members (cohort_id, user_id) VALUES ($1,$2) ON CONFLICT DO NOTHING', [code.cohort_id, user.id]);
+      }
+      if (code.department_id || code.subject_id) {
+        await client.query('UPDATE users SET department_id=COALESCE($1, (SELECT department_id FROM subjects WHERE id=$2)) WHERE id=$3', [code.department_id, code.subject_id, user.id]);
+      }
+      if (code.subject_id) await lockSubject(client, user.id, code.subject_id);
+      user.onboarding_complete = !!code.subject_id;
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+
+    const { token, refreshToken, expiresIn } = await issueTokens(user, req);
+
+    // Send welcome email
+    await queueTemplateEmail(email, 'welcome', {}, { locale: user.locale });
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Registration successful', token, refreshToken, expiresIn, user: { id: user.id, email: user.email, isAdmin: user.is_admin, emailVerified: false, onboardingComplete: user.onboarding_complete } });
+  } catch (e) {
+    if (e.code === UNIQUE_VIOLATION) return res.status(400).json({ error: 'Email already registered' });
+    console.error('Register error:', e);
+    res.status(500).json({ error: 'Registration failed' });
+  }
+});
+
+app.post('/api/auth/login', rateLimits.loginIp, rateLimits.loginAccount, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (!email || !password) return res.status(400).json({ error: 'Email and password required' });
+
+    // Unknown email, wrong password and locked account all get the same answer
+    const userR = await pool.query('SELECT *, COALESCE(locked_until > LOCALTIMESTAMP, FALSE) as locked FROM users WHERE LOWER(email)=LOWER($1)', [email]);
+    const user = userR.rows[0];
+    const validPw = await bcrypt.compare(String(password), user ? user.password : DUMMY_PASSWORD_HASH);
+    if (!user || user.locked) return res.status(401).json({ error: 'Invalid credentials' });
+    if (!validPw) {
+      await recordFailedLogin(user);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    await pool.query('UPDATE users SET last_activity=CURRENT_TIMESTAMP, failed_login_attempts=0, locked_until=NULL WHERE id=$1', [user.id]);
+
+    const { token, refreshToken, expiresIn } = await issueTokens(user, req);
+
+    res.json({ message: 'Login successful', token, refreshToken, expiresIn, user: { id: user.id, email: user.email, isAdmin: user.is_admin, onboardingComplete: user.onboarding_complete, primarySubjectId: user.primary_subject_id } });
+  } catch (e) {
+    console.error('Login error:', e);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Swap a refresh token for a new access/refresh pair. Each refresh token works once;
+// presenting an already-rotated one means it was copied, so its whole chain is revoked.
+app.post('/api/auth/refresh', rateLimits.refreshIp, async (req, res) => {
+  let client;
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ error: 'Refresh token required' });
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const r = await client.query('SELECT *, expires_at < LOCALTIMESTAMP as expired FROM refresh_tokens WHERE token_hash=$1 FOR UPDATE', [hashToken(refreshToken)]);
+    const stored = r.rows[0];
+    if (!stored) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+    if (stored.revoked_at) {
+      if (stored.replaced_by) {
+        await client.query('UPDATE refresh_tokens SET revoked_at=LOCALTIMESTAMP WHERE family_id=$1 AND revoked_at IS NULL', [stored.family_id]);
+        console.warn(`⚠️ Refresh token reuse detected for user ${stored.user_id}; session revoked`);
+      }
+      await client.query('COMMIT');
+      return res.status(401).json({ error: 'Refresh token has been revoked' });
+    }
+    if (stored.expired) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Refresh token expired' });
+    }
+
+    const userR = await client.query('SELECT * FROM users WHERE id=$1', [stored.user_id]);
+    const user = userR.rows[0];
+    const tokens = await issueTokens(user, req, { familyId: stored.family_id, db: client });
+    await client.query('UPDATE refresh_tokens SET revoked_at=LOCALTIMESTAMP, replaced_by=$2 WHERE id=$1', [stored.id, tokens.refreshTokenId]);
+    await client.query('COMMIT');
+
+    res.json({ token: tokens.token, refreshToken: tokens.refreshToken, expiresIn: tokens.expiresIn, user: { id: user.id, email: user.email, isAdmin: user.is_admin, onboardingComplete: user.onboarding_complete, primarySubjectId: user.primary_subject_id } });
+  } catch (e) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    console.error('Refresh token error:', e);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Ends this device's session. Works with an expired access token, so only the refresh token is needed.
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ error: 'Refresh token required' });
+    const r = await pool.query('SELECT family_id FROM refresh_tokens WHERE token_hash=$1', [hashToken(refreshToken)]);
+    if (r.rows.length > 0) {
+      await pool.query('UPDATE refresh_tokens SET revoked_at=LOCALTIMESTAMP WHERE family_id=$1 AND revoked_at IS NULL', [r.rows[0].family_id]);
+    }
+    res.json({ message: 'Logged out' });
+  } catch (e) {
+    console.error('Logout error:', e);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+app.post('/api/auth/logout-all', verifyToken, async (req, res) => {
+  try {
+    await revokeUserSessions(req.user.userId);
+    res.json({ message: 'Logged out of all devices' });
+  } catch (e) {
+    console.error('Logout all error:', e);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// =============================================
+// FORGOT PASSWORD
+// =============================================
+
+app.post('/api/auth/forgot-password', rateLimits.forgotIp, rateLimits.forgotAccount, async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ error: 'Email required' });
+
+    const userR = await pool.query('SELECT id,email,locale FROM users WHERE LOWER(email)=LOWER($1)', [email]);
+    
+    // Always return success to prevent email enumeration
+    if (userR.rows.length === 0) {
+      return res.json({ message: 'If an account exists with this email, a reset link will be sent.' });
+    }
+
+    const user = userR.rows[0];
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + 3600000); // 1 hour
+
+    await pool.query('INSERT INTO password_resets (user_id, token, expires_at) VALUES ($1, $2, $3)', [user.id, resetToken, expiresAt]);
+
+    const resetLink = `${process.env.FRONTEND_URL || 'https://rnpathfinders.ng'}/reset-password.html?token=${resetToken}`;
+
+    await queueTemplateEmail(user.email, 'password-reset', { resetLink }, { locale: user.locale });
+
+    res.json({ message: 'If an account exists with this email, a reset link will be sent.' });
+  } catch (e) {
+    console.error('Forgot password error:', e);
+    res.status(500).json({ error: 'Failed to process request' });
+  }
+});
+
+app.post('/api/auth/reset-password', rateLimits.resetIp, async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!token || !newPassword) return res.status(400).json({ error: 'Token and new password required' });
+    if (newPassword.length < MIN_PASSWORD_LENGTH) return res.status(400).json({ error: 'Password must be 8+ characters' });
+
+    const resetR = await pool.query('SELECT * FROM password_resets WHERE token=$1 AND used=FALSE AND expires_at > CURRENT_TIMESTAMP', [token]);
+    if (resetR.rows.length === 0) return res.status(400).json({ error: 'Invalid or expired reset token' });
+
+    const resetRecord = resetR.rows[0];
+    const hashedPw = await bcrypt.hash(newPassword, 10);
+
+    // A successful reset proves ownership, so it also lifts any lockout
+    await pool.query('UPDATE users SET password=$1, failed_login_attempts=0, locked_until=NULL WHERE id=$2', [hashedPw, resetRecord.user_id]);
+    await pool.query('UPDATE password_resets SET used=TRUE WHERE id=$1', [resetRecord.id]);
+    // Whoever had the old password may also hold a session
+    await revokeUserSessions(resetRecord.user_id);
+
+    // Get user email for notification
+    const userR = await pool.query('SELECT email,locale FROM users WHERE id=$1', [resetRecord.user_id]);
+    if (userR.rows.length > 0) {
+      await queueTemplateEmail(userR.rows[0].email, 'password-changed', {}, { locale: userR.rows[0].locale });
+    }
+
+    res.json({ message: 'Password reset successful. You can now login with your new password.' });
+  } catch (e) {
+    console.error('Reset password error:', e);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// =============================================
+// ACCOUNT SELF-SERVICE
+// =============================================
+
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_TOKEN_HOURS = { verify_email: 48, change_email: 24 };
+const isValidEmail = email => typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+// Single-use link tokens for email verification and email changes; only a hash is stored
+async function createEmailToken(userId, purpose, newEmail = null) {
+  const token = crypto.randomBytes(32).toString('hex');
+  // Only the most recent link of each kind stays valid
+  await pool.query('DELETE FROM email_tokens WHERE user_id=$1 AND purpose=$2 AND used_at IS NULL', [userId, purpose]);
+  await pool.query(
+    'INSERT INTO email_tokens (user_id, purpose, token_hash, new_email, expires_at) VALUES ($1,$2,$3,$4,LOCALTIMESTAMP + make_interval(hours => $5))',
+    [userId, purpose, hashToken(token), newEmail, EMAIL_TOKEN_HOURS[purpose]]
+  );
+  return token;
+}
+
+async function consumeEmailToken(token, purpose) {
+  const r = await pool.query(
+    'UPDATE email_tokens SET used_at=LOCALTIMESTAMP WHERE token_hash=$1 AND purpose=$2 AND used_at IS NULL AND expires_at > LOCALTIMESTAMP RETURNING *',
+    [hashToken(String(token)), purpose]
+  );
+  return r.rows[0] || null;
+}
+
+async function sendVerificationEmail(user) {
+  const token = await createEmailToken(user.id, 'verify_email');
+  const verifyLink = `${frontendUrl()}/verify-email.html?token=${token}`;
+  await queueTemplateEmail(user.email, 'verify-email', { verifyLink }, { locale: user.locale });
+}
+
+// Re-authentication for sensitive changes: the current password must be supplied
+async function checkPassword(userId, password) {
+  const r = await pool.query('SELECT * FROM users WHERE id=$1', [userId]);
+  const user = r.rows[0];
+  if (!user || typeof password !== 'string' || !await bcrypt.compare(password, user.password)) return null;
+  return user;
+}
+
+// Removes a user and everything that belongs to them. Used codes are released.
+// Run it inside withTransaction.
+async function deleteUserCascade(db, userId) {
+  await db.query('DELETE FROM user_progress WHERE user_id=$1', [userId]);
+  await db.query('DELETE FROM aar_entries WHERE user_id=$1', [userId]);
+  await db.query('DELETE FROM quizzes WHERE user_id=$1', [userId]);
+  await db.query('DELETE FROM flashcard_reviews WHERE user_id=$1', [userId]);
+  await db.query('DELETE FROM flashcard_schedules WHERE user_id=$1', [userId]);
+  await db.query('DELETE FROM flashcards WHERE owner_id=$1', [userId]);
+  await db.query('DELETE FROM study_sessions WHERE user_id=$1', [userId]);
+  await db.query('DELETE FROM password_resets WHERE user_id=$1', [userId]);
+  await db.query('DELETE FROM refresh_tokens WHERE user_id=$1', [userId]);
+  await db.query('DELETE FROM study_plans WHERE user_id=$1', [userId]);
+  await db.query('DELETE FROM unlock_requests WHERE user_id=$1', [userId]);
+  await db.query('DELETE FROM subject_locks WHERE user_id=$1', [userId]);
+  // Give the deleted account's code uses back
+  await db.query('UPDATE access_codes SET use_count=GREATEST(use_count-1,0),used=FALSE WHERE id IN (SELECT code_id FROM access_code_redemptions WHERE user_id=$1)', [userId]);
+  await db.query('DELETE FROM access_code_redemptions WHERE user_id=$1', [userId]);
+  await db.query('UPDATE access_codes SET used_by=NULL,used_at=NULL WHERE used_by=$1', [userId]);
+  await db.query('DELETE FROM users WHERE id=$1', [userId]);
+}
+
+const reauthLimiter = createRateLimiter({ name: 'reauth', windowMs: 15 * MINUTE, max: 10, keyFn: req => req.user && req.user.userId });
+
+app.post('/api/auth/verify-email', rateLimits.resetIp, async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) return res.status(400).json({ error: 'Token required' });
+    const record = await consumeEmailToken(token, 'verify_email');
+    if (!record) return res.status(400).json({ error: 'Invalid or expired verification link' });
+    await pool.query('UPDATE users SET email_verified=TRUE WHERE id=$1', [record.user_id]);
+    res.json({ message: 'Email verified' });
+  } catch (e) {
+    console.error('Verify email error:', e);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+app.post('/api/auth/resend-verification', verifyToken, reauthLimiter, async (req, res) => {
+  try {
+    const r = await pool.query('SELECT id,email,locale,email_verified FROM users WHERE id=$1', [req.user.userId]);
+    if (r.rows[0].email_verified) return res.json({ message: 'Email already verified' });
+    await sendVerificationEmail(r.rows[0]);
+    res.json({ message: 'Verification email sent' });
+  } catch (e) {
+    console.error('Resend verification error:', e);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+app.post('/api/auth/change-password', verifyToken, reauthLimiter, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) return res.status(400).json({ error: 'Current and new password required' });
+    if (newPassword.length < MIN_PASSWORD_LENGTH) return res.status(400).json({ error: 'Password must be 8+ characters' });
+
+    const user = await checkPassword(req.user.userId, currentPassword);
+    if (!user) return res.status(401).json({ error: 'Current password is incorrect' });
+
+    const hashedPw = await bcrypt.hash(newPassword, 10);
+    await pool.query('UPDATE users SET password=$1 WHERE id=$2', [hashedPw, user.id]);
+    // Sign out every other device, then hand this one a fresh session
+    await revokeUserSessions(user.id);
+    const { token, refreshToken, expiresIn } = await issueTokens({ ...user, token_version: user.token_version + 1 }, req);
+    await queueTemplateEmail(user.email, 'password-changed', {}, { locale: user.locale });
+
+    res.json({ message: 'Password changed', token, refreshToken, expiresIn });
+  } catch (e) {
+    console.error('Change password error:', e);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// The new address must be confirmed before it replaces the old one; the old address is told either way
+app.post('/api/auth/change-email', verifyToken, reauthLimiter, async (req, res) => {
+  try {
+    const { password, newEmail } = req.body;
+    if (!password || !newEmail) return res.status(400).json({ error: 'Password and new email required' });
+    if (!isValidEmail(newEmail)) return res.status(400).json({ error: 'Invalid email address' });
+
+    const user = await checkPassword(req.user.userId, password);
+    if (!user) return res.status(401).json({ error: 'Password is incorrect' });
+    const email = newEmail.trim().toLowerCase();
+    if (email === user.email.toLowerCase()) return res.status(400).json({ error: 'That is already your email address' });
+    const existR = await pool.query('SELECT id FROM users WHERE LOWER(email)=$1', [email]);
+    if (existR.rows.length > 0) return res.status(400).json({ error: 'Email already registered' });
+
+    const token = await createEmailToken(user.id, 'change_email', email);
+    const confirmLink = `${frontendUrl()}/confirm-email.html?token=${token}`;
+    await queueTemplateEmail(email, 'confirm-email-change', { confirmLink }, { locale: user.locale });
+    await queueTemplateEmail(user.email, 'email-change-requested', { newEmail: email }, { locale: user.locale });
+
+    res.json({ message: `Confirmation link sent to ${email}` });
+  } catch (e) {
+    console.error('Change email error:', e);
+    res.status(500).json({ error: 'Failed to change email' });
+  }
+});
+
+app.post('/api/auth/confirm-email-change', rateLimits.resetIp, async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) return res.status(400).json({ error: 'Token required' });
+    const record = await consumeEmailToken(token, 'change_email');
+    if (!record) return res.status(400).json({ error: 'Invalid or expired confirmation link' });
+
+    try {
+      await pool.query('UPDATE users SET email=$1, email_verified=TRUE WHERE id=$2', [record.new_email, record.user_id]);
+    } catch (e) {
+      if (e.code === UNIQUE_VIOLATION) return res.status(400).json({ error: 'Email already registered' });
+      throw e;
+    }
+    // Tokens carry the email, so existing sessions have to sign in again
+    await revokeUserSessions(record.user_id);
+    res.json({ message: 'Email address updated. Please log in again.', email: record.new_email });
+  } catch (e) {
+    console.error('Confirm email change error:', e);
+    res.status(500).json({ error: 'Failed to confirm email change' });
+  }
+});
+
+app.delete('/api/me', verifyToken, reauthLimiter, async (req, res) => {
+  try {
+    const user = await checkPassword(req.user.userId, req.body.password);
+    if (!user) return res.status(401).json({ error: 'Password is incorrect' });
+    const deleted = await withTransaction(async client => {
+      const superAdmins = await lockSuperAdmins(client);
+      if (superAdmins.length === 1 && superAdmins[0] === user.id) return false;
+      await deleteUserCascade(client, user.id);
+      return true;
+    });
+    if (!deleted) return res.status(400).json({ error: 'The last super-admin cannot delete their account' });
+    res.json({ message: 'Account deleted' });
+  } catch (e) {
+    console.error('Delete account error:', e);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+// =============================================
+// USER UNLOCK REQUEST
+// =============================================
+
+app.post('/api/unlock-request', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    
+    // Check if user has a locked subject
+    const userR = await pool.query('SELECT * FROM users WHERE id=$1', [userId]);
+    if (userR.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+    
+    const user = userR.rows[0];
+    if (!user.primary_subject_id) return res.status(400).json({ error: 'No subject to unlock' });
+    const justification = req.body.justification ? String(req.body.justification).trim() : null;
+    if (justification && justification.length > 2000) return res.status(400).json({ error: 'Justification must be 2000 characters or fewer' });
+
+    // Check unlock progress against the subject's policy
+    const { progress, policy, criteria, requirementsMet } = await getUnlockStatus(user);
+
+    if (requirementsMet) {
+      // Auto-unlock if requirements met
+      const ended = await withTransaction(async client => {
+        const result = await endSubjectLock(client, userId, { reason: 'auto_unlock', requestStatus: 'auto_approved', progress });
+        if (result) {
+          await recordAudit(req, 'unlock.self', {
+            targetType: 'user',
+            targetId: userId,
+            before: result.before,
+            after: { ...result.after, policy: policy.name, progress, requestId: result.requestId }
+          }, client);
+        }
+        return result;
+      });
+      if (!ended) return res.status(400).json({ error: 'No subject to unlock' });
+      return res.json({ message: 'Congratulations! You have met all requirements. Your subject has been unlocked!', unlocked: true });
+    }
+
+    // Request unlock from admin
+    try {
+      await pool.query(`
+        INSERT INTO unlock_requests (user_id, subject_lock_id, justification, progress)
+        VALUES ($1, (SELECT id FROM subject_locks WHERE user_id=$1 AND unlocked_at IS NULL), $2, $3)
+      `, [userId, justification, JSON.stringify(progress)]);
+    } catch (e) {
+      if (e.code === UNIQUE_VIOLATION) return res.status(400).json({ error: 'You already have a pending unlock request' });
+      throw e;
+    }
+    await pool.query('UPDATE users SET unlock_requested=TRUE, unlock_requested_at=CURRENT_TIMESTAMP WHERE id=$1', [userId]);
+
+    // Notify admins
+    const adminsR = await pool.query(`SELECT email,locale FROM users WHERE id IN (${usersWithPermissionSql('$1')})`, ['unlocks.manage']);
+    for (const admin of adminsR.rows) {
+      await queueTemplateEmail(admin.email, 'unlock-request', { userEmail: user.email, policyName: policy.name, criteria }, { locale: admin.locale });
+    }
+
+    res.json({ 
+      message: 'Unlock request submitted. An admin will review your request.',
+      progress,
+      policy,
+      requirements: criteria,
+      requirementsMet: false
+    });
+  } catch (e) {
+    console.error('Unlock request error:', e);
+    res.status(500).json({ error: 'Failed to submit unlock request' });
+  }
+});
+
+app.get('/api/me/subject-history', verifyToken, async (req, res) => {
+  try {
+    res.json(await getSubjectHistory(req.user.userId));
+  } catch (e) {
+    console.error('Subject history error:', e);
+    res.status(500).json({ error: 'Failed to get subject history' });
+  }
+});
+
+// =============================================
+// ADMIN: SEND ACCESS CODE VIA EMAIL
+// =============================================
+
+app.post('/api/admin/codes/send', verifyToken, requirePermission('codes.manage'), async (req, res) => {
+  try {
+    const { email, locale } = req.body;
+    if (!email) return res.status(400).json({ error: 'Email required' });
+    const { options, error } = await parseCodeOptions(req.body, { defaultCount: 1, maxCount: 50 });
+    if (error) return res.status(400).json({ error });
+
+    // sent_at is filled in by the outbox worker once the email is actually delivered
+    const { codes, codeIds, campaignId } = await withTransaction(async client => {
+      const created = await createAccessCodes(options, { createdBy: req.user.userId, sentToEmail: email }, client);
+      await recordAudit(req, 'codes.send', { targetType: 'email', targetId: email, after: { codes: created.codes, campaignId: created.campaignId, options } }, client);
+      return created;
+    });
+
+    // Send email with codes
+    const emailId = await queueTemplateEmail(email, 'access-codes', { codes }, { locale, meta: { accessCodeIds: codeIds } });
+
+    res.json({ 
+      message: `${codes.length} code(s) queued for delivery to ${email}`,
+      codes,
+      campaignId,
+      email,
+      emailId
+    });
+  } catch (e) {
+    console.error('Send codes error:', e);
+    res.status(500).json({ error: 'Failed to send codes' });
+  }
+});
+
+// =============================================
+// ADMIN: GET UNLOCK REQUESTS
+// =============================================
+
+app.get('/api/admin/unlock-requests', verifyToken, requirePermission('unlocks.manage'), async (req, res) => {
+  try {
+    res.json({ requests: await getPendingUnlockRequests() });
+  } catch (e) {
+    console.error('Get unlock requests error:', e);
+    res.status(500).json({ error: 'Failed to get requests' });
+  }
+});
+
+// =============================================
+// ADMIN: APPROVE/DENY UNLOCK
+// =============================================
+
+app.post('/api/admin/users/:id/approve-unlock', verifyToken, requirePermission('unlocks.manage'), async (req, res) => {
+  try {
+
+    const userId = req.params.id;
+    const { reason } = req.body;
+    const userR = await pool.query('SELECT email,locale FROM users WHERE id=$1', [userId]);
+    if (userR.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+    const pendingR = await pool.query("SELECT id FROM unlock_requests WHERE user_id=$1 AND status='pending'", [userId]);
+    if (pendingR.rows.length === 0) return res.status(400).json({ error: 'No pending unlock request' });
+
+    const ended = await withTransaction(async client => {
+      const result = await endSubjectLock(client, userId, { reason: 'approved', endedBy: req.user.userId, requestStatus: 'approved', reviewReason: reason || null });
+      if (result) await recordAudit(req, 'unlock.approve', { targetType: 'user', targetId: userId, before: result.before, after: { ...result.after, requestId: result.requestId, reason: reason || null } }, client);
+      return result;
+    });
+    if (!ended) return res.status(400).json({ error: 'No subject to unlock' });
+
+    await queueTemplateEmail(userR.rows[0].email, 'unlock-approved', {}, { locale: userR.rows[0].locale });
+
+    res.json({ message: 'User unlocked and notified via email' });
+  } catch (e) {
+    console.error('Approve unlock error:', e);
+    res.status(500).json({ error: 'Failed to approve unlock' });
+  }
+});
+
+app.post('/api/admin/users/:id/deny-unlock', verifyToken, requirePermission('unlocks.manage'), async (req, res) => {
+  try {
+
+    const userId = req.params.id;
+    const { reason } = req.body;
+
+    const userR = await pool.query('SELECT * FROM users WHERE id=$1', [userId]);
+    if (userR.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+
+    const requestId = await withTransaction(async client => {
+      const requestR = await client.query(`
+        UPDATE unlock_requests SET status='denied', reviewed_by=$2, review_reason=$3, reviewed_at=LOCALTIMESTAMP
+        WHERE user_id=$1 AND status='pending' RETURNING id
+      `, [userId, req.user.userId, reason || null]);
+      if (requestR.rows.length === 0) return null;
+      await client.query('UPDATE users SET unlock_requested=FALSE WHERE id=$1', [userId]);
+      await recordAudit(req, 'unlock.deny', { targetType: 'user', targetId: userId, before: { unlock_requested: userR.rows[0].unlock_requested }, after: { unlock_requested: false, requestId: requestR.rows[0].id, reason: reason || null } }, client);
+      return requestR.rows[0].id;
+    });
+    if (!requestId) return res.status(400).json({ error: 'No pending unlock request' });
+
+    const { criteria } = await getUnlockStatus(userR.rows[0]);
+
+    await queueTemplateEmail(userR.rows[0].email, 'unlock-denied', { reason, criteria }, { locale: userR.rows[0].locale });
+
+    res.json({ message: 'Request denied and user notified' });
+  } catch (e) {
+    console.error('Deny unlock error:', e);
+    res.status(500).json({ error: 'Failed to deny unlock' });
+  }
+});
+
+// A student's AARs next to their pending unlock request; defaults to the AARs of the current lock
+app.get('/api/admin/users/:id/aars', verifyToken, requirePermission('unlocks.manage'), requireIdParams, async (req, res) => {
+  try {
+    const userR = await pool.query('SELECT id, email FROM users WHERE id=$1', [req.params.id]);
+    if (userR.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+    const requestR = await pool.query("SELECT id, subject_lock_id, justification, progress, created_at FROM unlock_requests WHERE user_id=$1 AND status='pending'", [req.params.id]);
+    const currentLockR = await pool.query('SELECT id FROM subject_locks WHERE user_id=$1 AND unlocked_at IS NULL', [req.params.id]);
+    const query = { ...req.query };
+    if (query.lockId === undefined && currentLockR.rows[0]) query.lockId = String(currentLockR.rows[0].id);
+    if (query.lockId === 'all') delete query.lockId;
+
+    const result = await listAars(userR.rows[0].id, query);
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.json({ user: userR.rows[0], pendingRequest: requestR.rows[0] || null, lockId: query.lockId ? Number(query.lockId) : null, ...result });
+  } catch (e) {
+    console.error('Admin list AARs error:', e);
+    res.status(500).json({ error: 'Failed to list AARs' });
+  }
+});
+
+app.get('/api/admin/users/:id/subject-history', verifyToken, requirePermission('users.view'), requireIdParams, async (req, res) => {
+  try {
+    const userR = await pool.query('SELECT id, email FROM users WHERE id=$1', [req.params.id]);
+    if (userR.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+    const history = await getSubjectHistory(userR.rows[0].id, { includeStaff: true });
+    res.json({ user: userR.rows[0], ...history, timeline: buildSubjectTimeline(history) });
+  } catch (e) {
+    console.error('Admin subject history error:', e);
+    res.status(500).json({ error: 'Failed to get subject history' });
+  }
+});
+
+// =============================================
+// ADMIN: UNLOCK POLICIES
+// =============================================
+
+app.get('/api/admin/unlock-policies', verifyToken, requirePermission('unlock_policies.manage'), async (req, res) => {
+  try {
+    const r = await pool.query(`
+      SELECT p.*, d.name as department_name, s.name as subject_name, s.code as subject_code
+      FROM unlock_policies p
+      LEFT JOIN departments d ON p.department_id=d.id
+      LEFT JOIN subjects s ON p.subject_id=s.id
+      ORDER BY (p.subject_id IS NOT NULL), (p.department_id IS NOT NULL), p.name
+    `);
+    res.json({ policies: r.rows });
+  } catch (e) {
+    console.error('Get unlock policies error:', e);
+    res.status(500).json({ error: 'Failed to get policies' });
+  }
+});
+
+app.get('/api/admin/subjects/:id/unlock-policy', verifyToken, requirePermission('unlock_policies.manage'), requireIdParams, async (req, res) => {
+  try {
+    const policy = await getUnlockPolicy(req.params.id);
+    res.json({ policy, requirements: evaluateUnlockPolicy(policy, {}).criteria.map(({ current, met, ...c }) => c) });
+  } catch (e) {
+    console.error('Resolve unlock policy error:', e);
+    res.status(500).json({ error: 'Failed to resolve policy' });
+  }
+});
+
+// Only one active policy per scope, so resolution is never ambiguous
+async function findPolicyScopeConflict(departmentId, subjectId, excludeId) {
+  const r = await pool.query(`
+    SELECT id FROM unlock_policies
+    WHERE is_active=TRUE AND department_id IS NOT DISTINCT FROM $1 AND subject_id IS NOT DISTINCT FROM $2 AND id<>$3
+  `, [departmentId || null, subjectId || null, excludeId || 0]);
+  return r.rows.length > 0;
+}
+
+// The department or subject a policy is scoped to must exist
+async function findMissingPolicyScope(departmentId, subjectId) {
+  if (departmentId && (await pool.query('SELECT id FROM departments WHERE id=$1', [departmentId])).rows.length === 0) return 'Department not found';
+  if (subjectId && (await pool.query('SELECT id FROM subjects WHERE id=$1', [subjectId])).rows.length === 0) return 'Subject not found';
+  return null;
+}
+
+app.post('/api/admin/unlock-policies', verifyToken, requirePermission('unlock_policies.manage'), async (req, res) => {
+  try {
+    const { fields, error } = parsePolicyFields(req.body, false);
+    if (error) return res.status(400).json({ error });
+    const missing = await findMissingPolicyScope(fields.department_id, fields.subject_id);
+    if (missing) return res.status(400).json({ error: missing });
+    if (fields.is_active !== false && await findPolicyScopeConflict(fields.department_id, fields.subject_id)) {
+      return res.status(400).json({ error: 'An active policy already exists for this scope' });
+    }
+
+    const columns = Object.keys(fields);
+    const r = await withTransaction(async client => {
+      const inserted = await client.query(
+        `INSERT INTO unlock_policies (${columns.join(',')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(',')}) RETURNING *`,
+        Object.values(fields)
+      );
+      await recordAudit(req, 'unlock_policy.create', { targetType: 'unlock_policy', targetId: inserted.rows[0].id, after: inserted.rows[0] }, client);
+      return inserted;
+    });
+    res.json({ message: 'Policy created', policy: r.rows[0] });
+  } catch (e) {
+    console.error('Create unlock policy error:', e);
+    res.status(500).json({ error: 'Failed to create policy' });
+  }
+});
+
+app.patch('/api/admin/unlock-policies/:id', verifyToken, requirePermission('unlock_policies.manage'), requireIdParams, async (req, res) => {
+  try {
+    const existingR = await pool.query('SELECT * FROM unlock_policies WHERE id=$1', [req.params.id]);
+    if (existingR.rows.length === 0) return res.status(404).json({ error: 'Policy not found' });
+
+    const { fields, error } = parsePolicyFields(req.body, true);
+    if (error) return res.status(400).json({ error });
+    const missing = await findMissingPolicyScope(fields.department_id, fields.subject_id);
+    if (missing) return res.status(400).json({ error: missing });
+    const merged = { ...existingR.rows[0], ...fields };
+    if (merged.department_id && merged.subject_id) return res.status(400).json({ error: 'A policy applies to a department or a subject, not both' });
+    if (merged.is_active && await findPolicyScopeConflict(merged.department_id, merged.subject_id, merged.id)) {
+      return res.status(400).json({ error: 'An active policy already exists for this scope' });
+    }
+
+    const columns = Object.keys(fields);
+    if (columns.length === 0) return res.status(400).json({ error: 'Nothing to update' });
+    const r = await withTransaction(async client => {
+      const updated = await client.query(
+        `UPDATE unlock_policies SET ${columns.map((c, i) => `${c}=$${i + 1}`).join(',')}, updated_at=CURRENT_TIMESTAMP WHERE id=$${columns.length + 1} RETURNING *`,
+        [...Object.values(fields), req.params.id]
+      );
+      await recordAudit(req, 'unlock_policy.update', { targetType: 'unlock_policy', targetId: req.params.id, before: existingR.rows[0], after: updated.rows[0] }, client);
+      return updated;
+    });
+    res.json({ message: 'Policy updated', policy: r.rows[0] });
+  } catch (e) {
+    console.error('Update unlock policy error:', e);
+    res.status(500).json({ error: 'Failed to update policy' });
+  }
+});
+
+app.delete('/api/admin/unlock-policies/:id', verifyToken, requirePermission('unlock_policies.manage'), requireIdParams, async (req, res) => {
+  try {
+    const r = await pool.query('SELECT * FROM unlock_policies WHERE id=$1', [req.params.id]);
+    if (r.rows.length === 0) return res.status(404).json({ error: 'Policy not found' });
+    if (!r.rows[0].department_id && !r.rows[0].subject_id) return res.status(400).json({ error: 'The default policy can be edited but not deleted' });
+    await withTransaction(async client => {
+      await client.query('DELETE FROM unlock_policies WHERE id=$1', [req.params.id]);
+      await recordAudit(req, 'unlock_policy.delete', { targetType: 'unlock_policy', targetId: req.params.id, before: r.rows[0] }, client);
+    });
+    res.json({ message: 'Policy deleted' });
+  } catch (e) {
+    console.error('Delete unlock policy error:', e);
+    res.status(500).json({ error: 'Failed to delete policy' });
+  }
+});
+
+// =============================================
+// EXISTING ROUTES (keeping all your routes)
+// =============================================
+
+app.get('/api/auth/me', verifyToken, async (req, res) => {
+  try {
+    const userR = await pool.query(`SELECT u.*,s.name as primary_subject_name,s.code as primary_subject_code,d.name as department_name,d.icon as department_icon,EXISTS (SELECT 1 FROM cohort_instructors ci WHERE ci.user_id=u.id) as is_instructor FROM users u LEFT JOIN subjects s ON u.primary_subject_id=s.id LEFT JOIN departments d ON s.department_id=d.id WHERE u.id=$1`, [req.user.userId]);
+    if (userR.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+    const u = userR.rows[0];
+    res.json({ user: { id: u.id, email: u.email, isAdmin: u.is_admin, onboardingComplete: u.onboarding_complete, primarySubjectId: u.primary_subject_id, primarySubjectName: u.primary_subject_name, primarySubjectCode: u.primary_subject_code, departmentName: u.department_name, departmentIcon: u.department_icon, unlockRequested: u.unlock_requested, timezone: u.timezone || DEFAULT_TIMEZONE, emailVerified: u.email_verified, assignedDepartmentId: u.department_id, roles: req.user.roles, permissions: req.user.permissions, isInstructor: u.is_instructor } });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+app.get('/api/departments', async (req, res) => {
+  try {
+    const r = await pool.query('SELECT * FROM departments WHERE is_active=TRUE ORDER BY sort_order,name');
+    res.json({ departments: r.rows });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+app.get('/api/departments/:id/subjects', async (req, res) => {
+  try {
+    const r = await pool.query('SELECT * FROM subjects WHERE department_id=$1 AND is_active=TRUE ORDER BY sort_order,code', [req.params.id]);
+    res.json({ subjects: r.rows });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+app.get('/api/subjects', async (req, res) => {
+  try {
+    const r = await pool.query('SELECT s.*,d.name as department_name FROM subjects s JOIN departments d ON s.department_id=d.id WHERE s.is_active=TRUE ORDER BY s.code');
+    res.json({ subjects: r.rows });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+app.post('/api/declare-subject', verifyToken, async (req, res) => {
+  try {
+    const { subjectId } = req.body;
+    if (!subjectId) return res.status(400).json({ error: 'Subject required' });
+    const subjectR = await pool.query('SELECT id, department_id FROM subjects WHERE id=$1 AND is_active=TRUE', [parseId(subjectId)]);
+    if (subjectR.rows.length === 0) return res.status(404).json({ error: 'Subject not found' });
+    const subject = subjectR.rows[0];
+
+    // The user row lock makes a second declare wait and then see the first one's lock
+    const result = await withTransaction(async client => {
+      const userR = await client.query('SELECT primary_subject_id,department_id FROM users WHERE id=$1 FOR UPDATE', [req.user.userId]);
+      if (userR.rows[0].primary_subject_id) return { error: 'Subject already locked' };
+      if (userR.rows[0].department_id && subject.department_id !== userR.rows[0].department_id) return { error: 'That subject is outside your department' };
+      return { policy: await lockSubject(client, req.user.userId, subject.id) };
+    });
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.json({ message: `Subject locked for ${result.policy.min_days} days!`, requirements: evaluateUnlockPolicy(result.policy, {}).criteria.map(c => c.description) });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+app.get('/api/resources', verifyToken, async (req, res) => {
+  try {
+    const userR = await pool.query('SELECT primary_subject_id FROM users WHERE id=$1', [req.user.userId]);
+    const subjectId = userR.rows[0]?.primary_subject_id;
+    if (!subjectId) return res.json({ resources: [] });
+    const r = await pool.query('SELECT r.*,rs.sort_order,COALESCE(up.completed,FALSE) as completed,up.completed_at FROM resource_subjects rs JOIN resources r ON rs.resource_id=r.id LEFT JOIN user_progress up ON up.resource_id=r.id AND up.user_id=$2 WHERE rs.subject_id=$1 AND r.is_active=TRUE ORDER BY rs.sort_order,r.title', [subjectId, req.user.userId]);
+    const [completion] = await getResourceCompletion(req.user.userId, [subjectId]);
+    res.json({ resources: r.rows, completion: completion || null });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+app.post('/api/resources/:id/complete', verifyToken, requireIdParams, async (req, res) => {
+  try {
+    const progress = await setResourceCompletion(req.user.userId, req.params.id, true);
+    if (!progress) return res.status(404).json({ error: 'Resource not found' });
+    res.json({ message: 'Resource marked complete', progress });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+app.post('/api/resources/:id/incomplete', verifyToken, requireIdParams, async (req, res) => {
+  try {
+    const progress = await setResourceCompletion(req.user.userId, req.params.id, false);
+    if (!progress) return res.status(404).json({ error: 'Resource not found' });
+    res.json({ message: 'Resource marked incomplete', progress });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+app.get('/api/progress', verifyToken, async (req, res) => {
+  try {
+    const userR = await pool.query('SELECT * FROM users WHERE id=$1', [req.user.userId]);
+    const u = userR.rows[0];
+    const tz = u.timezone || DEFAULT_TIMEZONE;
+    const daysPassed = await getDaysPassed(u.id);
+    const streakR = await pool.query(`SELECT DISTINCT to_char(${localDateSql('completed_at', '$2')}, 'YYYY-MM-DD') as d FROM study_sessions WHERE user_id=$1 AND is_completed=TRUE`, [req.user.userId, tz]);
+    const streak = computeStreak(streakR.rows.map(row => row.d), localToday(tz), u.rest_days_per_week || 0);
+    const touchedR = await pool.query('SELECT DISTINCT rs.subject_id FROM user_progress up JOIN resource_subjects rs ON up.resource_id=rs.resource_id WHERE up.user_id=$1 AND up.completed=TRUE', [req.user.userId]);
+    const subjectIds = touchedR.rows.map(row => row.subject_id);
+    if (u.primary_subject_id && !subjectIds.includes(u.primary_subject_id)) subjectIds.push(u.primary_subject_id);
+    const resourceCompletion = await getResourceCompletion(req.user.userId, subjectIds);
+    const current = resourceCompletion.find(c => c.subjectId === u.primary_subject_id);
+    const unlock = u.primary_subject_id ? await getUnlockStatus(u) : null;
+    const planState = await getStudyPlanState(u.id);
+    const studyGoal = planState ? getStudyGoalStatus(planState) : null;
+    res.json({ progress: { totalSessions: u.session_count || 0, totalAARs: u.aar_count || 0, totalStudyMinutes: u.total_study_minutes || 0, currentStreak: streak, timezone: tz, lockProgress: { days: daysPassed, sessions: u.session_count || 0, aars: u.aar_count || 0, resourcesCompleted: current ? current.percent : 0, policy: unlock && unlock.policy, requirements: unlock ? unlock.criteria : [], requirementsMet: unlock ? unlock.requirementsMet : false }, resourceCompletion, studyGoal } });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+// Session lifecycle: active <-> paused, then completed, abandoned or expired
+const SESSION_TYPES = ['active_recall', 'spaced_repetition', 'practice_questions', 'reading', 'video', 'review'];
+const OPEN_SESSION_STATUSES = ['active', 'paused'];
+const MIN_SESSION_MINUTES = 5;
+const MAX_PLANNED_MINUTES = 240;
+// Open sessions this far past their planned duration are closed by the sweep
+const SESSION_EXPIRY_GRACE_MINUTES = parseInt(process.env.SESSION_EXPIRY_GRACE_MINUTES) || 120;
+
+// Minutes actually studied: time since start minus every paused interval.
+// Timestamps are compared as LOCALTIMESTAMP so the Node process timezone never matters.
+async function getActiveMinutes(sessionId, db = pool) {
+  const r = await db.query(`
+    SELECT FLOOR(GREATEST(
+      EXTRACT(EPOCH FROM (COALESCE(s.ended_at, LOCALTIMESTAMP) - s.started_at))
+      - COALESCE((SELECT SUM(EXTRACT(EPOCH FROM (COALESCE(p.resumed_at, s.ended_at, LOCALTIMESTAMP) - p.paused_at))) FROM session_pauses p WHERE p.session_id=s.id), 0),
+      0) / 60)::int as minutes
+    FROM study_sessions s WHERE s.id=$1
+  `, [sessionId]);
+  return r.rows[0].minutes;
+}
+
+// Close the session and any open pause at the same instant
+async function endSession(sessionId, status, db = pool) {
+  await db.query('UPDATE session_pauses SET resumed_at=LOCALTIMESTAMP WHERE session_id=$1 AND resumed_at IS NULL', [sessionId]);
+  await db.query('UPDATE study_sessions SET status=$1,ended_at=LOCALTIMESTAMP WHERE id=$2', [status, sessionId]);
+  const minutes = await getActiveMinutes(sessionId, db);
+  await db.query('UPDATE study_sessions SET actual_duration=$1 WHERE id=$2', [minutes, sessionId]);
+  return minutes;
+}
+
+async function expireStaleSessions() {
+  try {
+    const r = await pool.query(`
+      SELECT id FROM study_sessions
+      WHERE status = ANY($1) AND started_at < LOCALTIMESTAMP - (planned_duration + $2) * INTERVAL '1 minute'
+    `, [OPEN_SESSION_STATUSES, SESSION_EXPIRY_GRACE_MINUTES]);
+    for (const row of r.rows) await endSession(row.id, 'expired');
+    if (r.rows.length > 0) console.log(`⏱️ Expired ${r.rows.length} stale session(s)`);
+  } catch (e) {
+    console.error('❌ Session sweep error:', e.message);
+  }
+}
+
+// Inside a transaction the session row stays locked until commit
+async function getOwnOpenSession(sessionId, userId, db = pool) {
+  const r = await db.query('SELECT * FROM study_sessions WHERE id=$1 AND user_id=$2 FOR UPDATE', [sessionId, userId]);
+  if (r.rows.length === 0) return { status: 404, error: 'Session not found' };
+  if (!OPEN_SESSION_STATUSES.includes(r.rows[0].status)) return { status: 400, error: `Session already ${r.rows[0].status}` };
+  return { session: r.rows[0] };
+}
+
+app.post('/api/sessions/start', verifyToken, async (req, res) => {
+  try {
+    const { sessionType = 'active_recall' } = req.body;
+    const plannedDuration = Number(req.body.plannedDuration);
+    if (!req.body.plannedDuration) return res.status(400).json({ error: 'Duration required' });
+    if (!Number.isInteger(plannedDuration) || plannedDuration < MIN_SESSION_MINUTES || plannedDuration > MAX_PLANNED_MINUTES) return res.status(400).json({ error: `Duration must be ${MIN_SESSION_MINUTES}-${MAX_PLANNED_MINUTES} minutes` });
+    if (!SESSION_TYPES.includes(sessionType)) return res.status(400).json({ error: `Session type must be one of: ${SESSION_TYPES.join(', ')}` });
+    const userR = await pool.query('SELECT primary_subject_id FROM users WHERE id=$1', [req.user.userId]);
+    const subjectId = userR.rows[0]?.primary_subject_id;
+    if (!subjectId) return res.status(400).json({ error: 'No subject selected' });
+    const activeR = await pool.query('SELECT id FROM study_sessions WHERE user_id=$1 AND status=ANY($2)', [req.user.userId, OPEN_SESSION_STATUSES]);
+    if (activeR.rows.length > 0) return res.status(400).json({ error: 'Session already active' });
+    let r;
+    try {
+      r = await pool.query('INSERT INTO study_sessions (user_id,subject_id,planned_duration,session_type) VALUES ($1,$2,$3,$4) RETURNING *', [req.user.userId, subjectId, plannedDuration, sessionType]);
+    } catch (e) {
+      // study_sessions_one_open_idx catches a concurrent start that passed the check above
+      if (e.code === UNIQUE_VIOLATION) return res.status(400).json({ error: 'Session already active' });
+      throw e;
+    }
+    // Remind the student what they planned last time; AARs from today don't count
+    const planR = await pool.query(`
+      SELECT id, tomorrow_plan, created_at FROM aar_entries
+      WHERE user_id=$1 AND subject_id=$2 AND ${localDateSql('created_at', '$3')} < ${todaySql('$3')}
+      ORDER BY created_at DESC LIMIT 1
+    `, [req.user.userId, subjectId, await getUserTimezone(req.user.userId)]);
+    const previousPlan = planR.rows[0] ? { aarId: planR.rows[0].id, tomorrowPlan: planR.rows[0].tomorrow_plan, writtenAt: planR.rows[0].created_at } : null;
+    res.json({ message: 'Session started', session: r.rows[0], previousPlan });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+app.get('/api/sessions/active', verifyToken, async (req, res) => {
+  try {
+    const r = await pool.query('SELECT * FROM study_sessions WHERE user_id=$1 AND status=ANY($2) ORDER BY started_at DESC LIMIT 1', [req.user.userId, OPEN_SESSION_STATUSES]);
+    if (r.rows.length === 0) return res.json({ activeSession: null });
+    res.json({ activeSession: { ...r.rows[0], active_minutes: await getActiveMinutes(r.rows[0].id) } });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+app.post('/api/sessions/:id/pause', verifyToken, requireIdParams, async (req, res) => {
+  try {
+    const { session, status, error } = await getOwnOpenSession(req.params.id, req.user.userId);
+    if (error) return res.status(status).json({ error });
+    if (session.status === 'paused') return res.status(400).json({ error: 'Session already paused' });
+    await pool.query('INSERT INTO session_pauses (session_id) VALUES ($1)', [session.id]);
+    await pool.query(`UPDATE study_sessions SET status='paused' WHERE id=$1`, [session.id]);
+    res.json({ message: 'Session paused', activeMinutes: await getActiveMinutes(session.id) });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+app.post('/api/sessions/:id/resume', verifyToken, requireIdParams, async (req, res) => {
+  try {
+    const { session, status, error } = await getOwnOpenSession(req.params.id, req.user.userId);
+    if (error) return res.status(status).json({ error });
+    if (session.status !== 'paused') return res.status(400).json({ error: 'Session is not paused' });
+    await pool.query('UPDATE session_pauses SET resumed_at=LOCALTIMESTAMP WHERE session_id=$1 AND resumed_at IS NULL', [session.id]);
+    await pool.query(`UPDATE study_sessions SET status='active' WHERE id=$1`, [session.id]);
+    res.json({ message: 'Session resumed', activeMinutes: await getActiveMinutes(session.id) });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+app.post('/api/sessions/:id/abandon', verifyToken, requireIdParams, async (req, res) => {
+  try {
+    const { session, status, error } = await getOwnOpenSession(req.params.id, req.user.userId);
+    if (error) return res.status(status).json({ error });
+    const minutes = await endSession(session.id, 'abandoned');
+    res.json({ message: 'Session abandoned', duration: minutes });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+app.post('/api/sessions/:id/complete', verifyToken, requireIdParams, async (req, res) => {
+  try {
+    const result = await withTransaction(async client => {
+      const { session, status, error } = await getOwnOpenSession(req.params.id, req.user.userId, client);
+      if (error) return { status, error };
+      const actualMinutes = await getActiveMinutes(session.id, client);
+      if (actualMinutes < MIN_SESSION_MINUTES) return { status: 400, error: `Minimum ${MIN_SESSION_MINUTES} minutes required` };
+      await endSession(session.id, 'completed', client);
+      await client.query('UPDATE study_sessions SET is_completed=TRUE,completed_at=CURRENT_TIMESTAMP,actual_duration=$1 WHERE id=$2', [actualMinutes, session.id]);
+      await client.query('UPDATE users SET session_count=session_count+1,total_study_minutes=total_study_minutes+$1,last_activity=CURRENT_TIMESTAMP WHERE id=$2', [actualMinutes, req.user.userId]);
+      return { actualMinutes };
+    });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ message: 'Session completed!', duration: result.actualMinutes });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+// =============================================
+// AFTER-ACTION REVIEWS
+// =============================================
+
+const AAR_MIN_WORDS = 20;
+const AAR_EDIT_GRACE_MINUTES = parseInt(process.env.AAR_EDIT_GRACE_MINUTES) || 24 * 60;
+
+// Columns for AAR lists; graceParam binds the edit grace window in minutes
+function aarSelectSql(graceParam) {
+  return `
+    SELECT a.id, a.subject_id, s.code as subject_code, s.name as subject_name, a.session_id, ss.session_type,
+           ss.actual_duration as session_minutes, ss.started_at as session_started_at,
+           a.what_worked, a.what_blocked, a.tomorrow_plan, a.created_at, a.updated_at,
+           a.created_at > LOCALTIMESTAMP - make_interval(mins => ${graceParam}) as editable
+    FROM aar_entries a
+    LEFT JOIN subjects s ON a.subject_id=s.id
+    LEFT JOIN study_sessions ss ON a.session_id=ss.id
+  `;
+}
+
+function validateAarText({ whatWorked, whatBlocked, tomorrowPlan }) {
+  if (!whatWorked || !whatBlocked || !tomorrowPlan) return 'All fields required';
+  const wordCount = (whatWorked + ' ' + whatBlocked + ' ' + tomorrowPlan).split(/\s+/).filter(w => w).length;
+  if (wordCount < AAR_MIN_WORDS) return `Minimum ${AAR_MIN_WORDS} words required`;
+  return null;
+}
+
+// A linked session must be the user's own and already finished
+async function validateAarSession(userId, sessionId) {
+  if (!Number.isInteger(sessionId)) return 'sessionId must be a session id';
+  const r = await pool.query('SELECT status FROM study_sessions WHERE id=$1 AND user_id=$2', [sessionId, userId]);
+  if (r.rows.length === 0) return 'Session not found';
+  if (OPEN_SESSION_STATUSES.includes(r.rows[0].status)) return 'Finish the session before reviewing it';
+  return null;
+}
+
+// One user's AARs, newest first or best match first when searching. Filters: subjectId,
+// sessionId, lockId (AARs written during that subject lock) and q (full-text search).
+async function listAars(userId, query) {
+  const params = [userId];
+  const conditions = ['a.user_id=$1'];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace(/\?/g, `$${params.length}`));
+  };
+  for (const key of ['subjectId', 'sessionId', 'lockId']) {
+    if (query[key] && !/^\d+$/.test(query[key])) return { error: `${key} must be an id` };
+  }
+  if (query.subjectId) add('a.subject_id=?', Number(query.subjectId));
+  if (query.sessionId) add('a.session_id=?', Number(query.sessionId));
+  if (query.lockId) add(`EXISTS (SELECT 1 FROM subject_locks sl WHERE sl.id=? AND sl.user_id=a.user_id AND sl.subject_id=a.subject_id
+    AND a.created_at >= sl.locked_at AND (sl.unlocked_at IS NULL OR a.created_at <= sl.unlocked_at))`, Number(query.lockId));
+  let order = 'a.created_at DESC, a.id DESC';
+  if (query.q && String(query.q).trim()) {
+    add(`a.search_vector @@ websearch_to_tsquery('english', ?)`, String(query.q).trim());
+    order = `ts_rank(a.search_vector, websearch_to_tsquery('english', $${params.length})) DESC, ${order}`;
+  }
+  const where = `WHERE ${conditions.join(' AND ')}`;
+  const limit = Math.min(parseInt(query.limit) || 20, 100);
+  const offset = Math.max(parseInt(query.offset) || 0, 0);
+
+  const countR = await pool.query(`SELECT COUNT(*)::int as total FROM aar_entries a ${where}`, params);
+  const r = await pool.query(`${aarSelectSql(`$${params.length + 1}`)} ${where} ORDER BY ${order} LIMIT ${limit} OFFSET ${offset}`, [...params, AAR_EDIT_GRACE_MINUTES]);
+  return { aars: r.rows, total: countR.rows[0].total, limit, offset };
+}
+
+app.post('/api/aar/submit', verifyToken, async (req, res) => {
+  try {
+    const { whatWorked, whatBlocked, tomorrowPlan, sessionId } = req.body;
+    const textError = validateAarText(req.body);
+    if (textError) return res.status(400).json({ error: textError });
+    if (sessionId !== undefined && sessionId !== null) {
+      const sessionError = await validateAarSession(req.user.userId, sessionId);
+      if (sessionError) return res.status(400).json({ error: sessionError });
+    }
+    const userR = await pool.query('SELECT primary_subject_id FROM users WHERE id=$1', [req.user.userId]);
+    const subjectId = userR.rows[0]?.primary_subject_id;
+    let r;
+    try {
+      r = await pool.query('INSERT INTO aar_entries (user_id,subject_id,what_worked,what_blocked,tomorrow_plan,session_id) VALUES ($1,$2,$3,$4,$5,$6) RETURNING id', [req.user.userId, subjectId, whatWorked, whatBlocked, tomorrowPlan, sessionId || null]);
+    } catch (e) {
+      if (e.code === UNIQUE_VIOLATION) return res.status(400).json({ error: 'That session already has an AAR' });
+      throw e;
+    }
+    await pool.query('UPDATE users SET aar_count=aar_count+1 WHERE id=$1', [req.user.userId]);
+    res.json({ message: 'AAR submitted!', id: r.rows[0].id });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+app.get('/api/aar', verifyToken, async (req, res) => {
+  try {
+    const result = await listAars(req.user.userId, req.query);
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.json({ ...result, editGraceMinutes: AAR_EDIT_GRACE_MINUTES });
+  } catch (e) {
+    console.error('List AARs error:', e);
+    res.status(500).json({ error: 'Failed to list AARs' });
+  }
+});
+
+app.get('/api/aar/:id', verifyToken, requireIdParams, async (req, res) => {
+  try {
+    const r = await pool.query(`${aarSelectSql('$3')} WHERE a.id=$1 AND a.user_id=$2`, [req.params.id, req.user.userId, AAR_EDIT_GRACE_MINUTES]);
+    if (r.rows.length === 0) return res.status(404).json({ error: 'AAR not found' });
+    res.json({ aar: r.rows[0] });
+  } catch (e) {
+    console.error('Get AAR error:', e);
+    res.status(500).json({ error: 'Failed to get AAR' });
+  }
+});
+
+app.patch('/api/aar/:id', verifyToken, requireIdParams, async (req, res) => {
+  try {
+    const existingR = await pool.query(`${aarSelectSql('$3')} WHERE a.id=$1 AND a.user_id=$2`, [req.params.id, req.user.userId, AAR_EDIT_GRACE_MINUTES]);
+    if (existingR.rows.length === 0) return res.status(404).json({ error: 'AAR not found' });
+    const existing = existingR.rows[0];
+    if (!existing.editable) return res.status(400).json({ error: `AARs can only be edited within ${AAR_EDIT_GRACE_MINUTES} minutes of submitting` });
+
+    const text = {
+      whatWorked: req.body.whatWorked !== undefined ? req.body.whatWorked : existing.what_worked,
+      whatBlocked: req.body.whatBlocked !== undefined ? req.body.whatBlocked : existing.what_blocked,
+      tomorrowPlan: req.body.tomorrowPlan !== undefined ? req.body.tomorrowPlan : existing.tomorrow_plan
+    };
+    const textError = validateAarText(text);
+    if (textError) return res.status(400).json({ error: textError });
+    let sessionId = existing.session_id;
+    if (req.body.sessionId !== undefined) {
+      sessionId = req.body.sessionId;
+      const sessionError = sessionId === null ? null : await validateAarSession(req.user.userId, sessionId);
+      if (sessionError) return res.status(400).json({ error: sessionError });
+    }
+
+    try {
+      await pool.query(
+        'UPDATE aar_entries SET what_worked=$1, what_blocked=$2, tomorrow_plan=$3, session_id=$4, updated_at=LOCALTIMESTAMP WHERE id=$5',
+        [text.whatWorked, text.whatBlocked, text.tomorrowPlan, sessionId, existing.id]
+      );
+    } catch (e) {
+      if (e.code === UNIQUE_VIOLATION) return res.status(400).json({ error: 'That session already has an AAR' });
+      throw e;
+    }
+    const r = await pool.query(`${aarSelectSql('$2')} WHERE a.id=$1`, [existing.id, AAR_EDIT_GRACE_MINUTES]);
+    res.json({ message: 'AAR updated', aar: r.rows[0] });
+  } catch (e) {
+    console.error('Update AAR error:', e);
+    res.status(500).json({ error: 'Failed to update AAR' });
+  }
+});
+
+// =============================================
+// STUDY PLANS
+// =============================================
+// A plan is a goal for the current subject lock: finish by a target date, or study a
+// set number of minutes a week. The day-by-day schedule is rebuilt from what is left
+// each time it is read, so days that were missed spread over the days that remain.
+
+const MAX_PLAN_DAYS = 365;
+const MAX_WEEKLY_GOAL_MINUTES = 7 * MAX_PLANNED_MINUTES;
+const STUDY_PLAN_COLUMNS = "id, to_char(target_date, 'YYYY-MM-DD') as target_date, weekly_minutes, daily_minutes, created_at, updated_at";
+
+// Rest days are taken from the end of each Monday-start week
+function isRestDay(date, restDaysPerWeek) {
+  const mondayIndex = (new Date(date + 'T00:00:00Z').getUTCDay() + 6) % 7;
+  return mondayIndex >= 7 - restDaysPerWeek;
+}
+
+// Spreads minutes over the given dates and walks the ordered resources through them.
+// A resource longer than what is left of a day continues on the next one.
+function scheduleStudyDays(dates, dailyMinutes, remainingMinutes, resources) {
+  const queue = resources.map(r => ({ resource: r, left: Math.max(r.duration_minutes || 0, 0) }));
+  let left = remainingMinutes;
+  const days = dates.map(date => {
+    const minutes = Math.min(dailyMinutes, left);
+    left -= minutes;
+    let capacity = minutes;
+    const items = [];
+    while (queue.length > 0 && (capacity > 0 || queue[0].left === 0)) {
+      const head = queue[0];
+      const portion = Math.min(head.left, capacity);
+      items.push({ id: head.resource.id, title: head.resource.title, type: head.resource.type, url: head.resource.url, minutes: portion });
+      head.left -= portion;
+      capacity -= portion;
+      if (head.left === 0) queue.shift();
+    }
+    return { date, minutes, rest: false, resources: items };
+  });
+  // Whatever did not fit (only possible when the plan hits MAX_PLAN_DAYS) goes on the last day
+  if (days.length > 0) {
+    for (const { resource, left: minutes } of queue) days[days.length - 1].resources.push({ id: resource.id, title: resource.title, type: resource.type, url: resource.url, minutes });
+  }
+  return days;
+}
+
+// Daily load and study dates for a goal, starting today
+function planStudyDates(goal, today, remainingMinutes, restDaysPerWeek) {
+  const dates = [];
+  if (goal.targetDate) {
+    for (let date = today; date <= goal.targetDate && dates.length < MAX_PLAN_DAYS; date = addDays(date, 1)) {
+      if (!isRestDay(date, restDaysPerWeek)) dates.push(date);
+    }
+    if (dates.length === 0) dates.push(goal.targetDate);
+    return { dates, dailyMinutes: Math.ceil(remainingMinutes / dates.length) };
+  }
+  const dailyMinutes = Math.ceil(goal.weeklyMinutes / (7 - restDaysPerWeek));
+  let planned = 0;
+  for (let date = today, i = 0; planned < remainingMinutes && i < MAX_PLAN_DAYS; date = addDays(date, 1), i++) {
+    if (isRestDay(date, restDaysPerWeek)) continue;
+    dates.push(date);
+    planned += dailyMinutes;
+  }
+  return { dates, dailyMinutes };
+}
+
+// Everything a plan is built from for the user's current lock, or null when nothing is locked.
+// Minutes count completed sessions on the subject since it was locked; the remaining load
+// is the subject's estimated hours less that, but never less than the unfinished resources.
+async function getStudyPlanState(userId) {
+  const userR = await pool.query('SELECT id, primary_subject_id, timezone, rest_days_per_week FROM users WHERE id=$1', [userId]);
+  const u = userR.rows[0];
+  if (!u || !u.primary_subject_id) return null;
+  const tz = u.timezone || DEFAULT_TIMEZONE;
+  const today = localToday(tz);
+  const lockR = await pool.query(`
+    SELECT sl.id, to_char(${localDateSql('sl.locked_at', '$2')}, 'YYYY-MM-DD') as locked_on, s.id as subject_id, s.name as subject_name, s.estimated_hours
+    FROM subject_locks sl JOIN subjects s ON sl.subject_id=s.id
+    WHERE sl.user_id=$1 AND sl.unlocked_at IS NULL
+  `, [userId, tz]);
+  const lock = lockR.rows[0];
+  if (!lock) return null;
+
+  const minutesR = await pool.query(`
+    SELECT COALESCE(SUM(actual_duration) FILTER (WHERE d < $4::date), 0)::int as before_today,
+           COALESCE(SUM(actual_duration) FILTER (WHERE d = $4::date), 0)::int as today,
+           COALESCE(SUM(actual_duration) FILTER (WHERE d > $4::date - 7), 0)::int as last_7_days
+    FROM (
+      SELECT actual_duration, ${localDateSql('completed_at', '$3')} as d FROM study_sessions
+      WHERE user_id=$1 AND subject_id=$2 AND is_completed=TRUE AND completed_at >= (SELECT locked_at FROM subject_locks WHERE id=$5)
+    ) ss
+  `, [userId, lock.subject_id, tz, today, lock.id]);
+  const resourcesR = await pool.query(`
+    SELECT r.id, r.title, r.type, r.url, r.duration_minutes
+    FROM resource_subjects rs JOIN resources r ON rs.resource_id=r.id
+    LEFT JOIN user_progress up ON up.resource_id=r.id AND up.user_id=$2
+    WHERE rs.subject_id=$1 AND r.is_active=TRUE AND COALESCE(up.completed, FALSE)=FALSE
+    ORDER BY rs.sort_order, r.title
+  `, [lock.subject_id, userId]);
+  const planR = await pool.query(`SELECT ${STUDY_PLAN_COLUMNS} FROM study_plans WHERE subject_lock_id=$1`, [lock.id]);
+
+  const minutes = minutesR.rows[0];
+  const resourceMinutes = resourcesR.rows.reduce((sum, r) => sum + Math.max(r.duration_minutes || 0, 0), 0);
+  return {
+    today,
+    lock,
+    plan: planR.rows[0] || null,
+    restDaysPerWeek: u.rest_days_per_week || 0,
+    resources: resourcesR.rows,
+    studiedMinutes: minutes.before_today + minutes.today,
+    studiedToday: minutes.today,
+    studiedLast7Days: minutes.last_7_days,
+    // Measured from the start of today so today's share stays put while the student works through it
+    remainingFromToday: Math.max((lock.estimated_hours || 0) * 60 - minutes.before_today, resourceMinutes)
+  };
+}
+
+// Pace since the lock began, the finish date it projects and, with a plan, whether that is on track
+function getStudyGoalStatus(state) {
+  const estimatedMinutes = (state.lock.estimated_hours || 0) * 60;
+  const remainingMinutes = Math.max(state.remainingFromToday - state.studiedToday, 0);
+  const daysElapsed = Math.round((new Date(state.today) - new Date(state.lock.locked_on)) / 86400000) + 1;
+  const pace = state.studiedMinutes / Math.max(daysElapsed, 1);
+  const projectedFinishDate = remainingMinutes === 0 ? state.today : pace > 0 ? addDays(state.today, Math.ceil(remainingMinutes / pace)) : null;
+
+  let status = null;
+  if (state.plan) {
+    if (remainingMinutes === 0) status = 'complete';
+    else if (state.studiedMinutes === 0) status = 'not_started';
+    else if (state.plan.weekly_minutes) status = state.studiedLast7Days >= state.plan.weekly_minutes * Math.min(daysElapsed, 7) / 7 ? 'on_track' : 'behind';
+    else status = projectedFinishDate && projectedFinishDate <= state.plan.target_date ? 'on_track' : 'behind';
+  }
+  return {
+    subjectId: state.lock.subject_id,
+    subjectName: state.lock.subject_name,
+    estimatedHours: state.lock.estimated_hours,
+    studiedMinutes: state.studiedMinutes,
+    remainingMinutes,
+    percent: estimatedMinutes > 0 ? Math.min(Math.round((state.studiedMinutes / estimatedMinutes) * 100), 100) : 0,
+    paceMinutesPerDay: Math.round(pace),
+    projectedFinishDate,
+    goal: state.plan ? { targetDate: state.plan.target_date, weeklyMinutes: state.plan.weekly_minutes } : null,
+    status
+  };
+}
+
+function buildStudyPlan(state) {
+  const goal = { targetDate: state.plan.target_date, weeklyMinutes: state.plan.weekly_minutes };
+  const { dates, dailyMinutes } = planStudyDates(goal, state.today, state.remainingFromToday, state.restDaysPerWeek);
+  const studyDays = scheduleStudyDays(dates, dailyMinutes, state.remainingFromToday, state.resources);
+  const days = [];
+  // Rest days in between are listed so the schedule reads as a calendar
+  for (const day of studyDays) {
+    const previous = days.length ? days[days.length - 1].date : null;
+    for (let date = previous ? addDays(previous, 1) : state.today; date < day.date; date = addDays(date, 1)) {
+      days.push({ date, minutes: 0, rest: true, resources: [] });
+    }
+    days.push(day);
+  }
+  if (days[0] && days[0].date === state.today) days[0].studiedMinutes = state.studiedToday;
+  return {
+    id: state.plan.id,
+    goal,
+    dailyMinutes,
+    originalDailyMinutes: state.plan.daily_minutes,
+    rebalanced: dailyMinutes !== state.plan.daily_minutes,
+    finishDate: dates.length ? dates[dates.length - 1] : state.today,
+    days
+  };
+}
+
+app.get('/api/study-plan', verifyToken, async (req, res) => {
+  try {
+    const state = await getStudyPlanState(req.user.userId);
+    if (!state) return res.status(400).json({ error: 'No subject selected' });
+    res.json({ plan: state.plan ? buildStudyPlan(state) : null, progress: getStudyGoalStatus(state) });
+  } catch (e) {
+    console.error('Get study plan error:', e);
+    res.status(500).json({ error: 'Failed to get study plan' });
+  }
+});
+
+// Sets (or replaces) the goal for the current lock: { targetDate: 'YYYY-MM-DD' } or { weeklyMinutes }
+app.post('/api/study-plan', verifyToken, async (req, res) => {
+  try {
+    const { targetDate } = req.body;
+    const weeklyMinutes = req.body.weeklyMinutes === undefined ? undefined : Number(req.body.weeklyMinutes);
+    if ((targetDate === undefined) === (weeklyMinutes === undefined)) return res.status(400).json({ error: 'Set either targetDate or weeklyMinutes' });
+    const state = await getStudyPlanState(req.user.userId);
+    if (!state) return res.status(400).json({ error: 'No subject selected' });
+
+    if (targetDate !== undefined) {
+      if (!isValidDateString(targetDate)) return res.status(400).json({ error: 'targetDate must be a YYYY-MM-DD date' });
+      if (targetDate < state.today) return res.status(400).json({ error: 'targetDate cannot be in the past' });
+      if (targetDate > addDays(state.today, MAX_PLAN_DAYS)) return res.status(400).json({ error: `targetDate must be within ${MAX_PLAN_DAYS} days` });
+    } else if (!Number.isInteger(weeklyMinutes) || weeklyMinutes < MIN_SESSION_MINUTES || weeklyMinutes > MAX_WEEKLY_GOAL_MINUTES) {
+      return res.status(400).json({ error: `weeklyMinutes must be a whole number from ${MIN_SESSION_MINUTES} to ${MAX_WEEKLY_GOAL_MINUTES}` });
+    }
+
+    const goal = { targetDate: targetDate || null, weeklyMinutes: targetDate ? null : weeklyMinutes };
+    const { dailyMinutes } = planStudyDates(goal, state.today, state.remainingFromToday, state.restDaysPerWeek);
+    const r = await pool.query(`
+      INSERT INTO study_plans (user_id, subject_lock_id, target_date, weekly_minutes, daily_minutes)
+      VALUES ($1,$2,$3,$4,$5)
+      ON CONFLICT (subject_lock_id) DO UPDATE SET target_date=EXCLUDED.target_date, weekly_minutes=EXCLUDED.weekly_minutes,
+        daily_minutes=EXCLUDED.daily_minutes, updated_at=LOCALTIMESTAMP
+      RETURNING ${STUDY_PLAN_COLUMNS}
+    `, [req.user.userId, state.lock.id, goal.targetDate, goal.weeklyMinutes, dailyMinutes]);
+    state.plan = r.rows[0];
+    res.json({ message: 'Study plan saved', plan: buildStudyPlan(state), progress: getStudyGoalStatus(state) });
+  } catch (e) {
+    console.error('Save study plan error:', e);
+    res.status(500).json({ error: 'Failed to save study plan' });
+  }
+});
+
+app.delete('/api/study-plan', verifyToken, async (req, res) => {
+  try {
+    const r = await pool.query('DELETE FROM study_plans WHERE user_id=$1 AND subject_lock_id IN (SELECT id FROM subject_locks WHERE user_id=$1 AND unlocked_at IS NULL) RETURNING id', [req.user.userId]);
+    if (r.rows.length === 0) return res.status(404).json({ error: 'No study plan' });
+    res.json({ message: 'Study plan removed' });
+  } catch (e) {
+    console.error('Delete study plan error:', e);
+    res.status(500).json({ error: 'Failed to remove study plan' });
+  }
+});
+
+// Admin routes
+app.post('/api/admin/codes', verifyToken, requirePermission('codes.manage'), async (req, res) => {
+  try {
+    const { options, error } = await parseCodeOptions(req.body, { defaultCount: 5 });
+    if (error) return res.status(400).json({ error });
+    const { codes, campaignId } = await withTransaction(async client => {
+      const created = await createAccessCodes(options, { createdBy: req.user.userId }, client);
+      await recordAudit(req, 'codes.create', { targetType: 'campaign', targetId: created.campaignId, after: { codes: created.codes, options } }, client);
+      return created;
+    });
+    res.json({ message: `${codes.length} codes generated`, codes, campaignId });
+  } catch (e) {
+    console.error('Generate codes error:', e);
+    res.status(500).json({ error: 'Failed to generate codes' });
+  }
+});
+
+const ACCESS_CODES_SQL = `
+  SELECT ac.*, ${CODE_STATUS_SQL} as status, u.email as used_by_email, c.name as cohort_name, cp.name as campaign_name,
+         d.code as department_code, s.code as subject_code,
+         ARRAY(SELECT ru.email FROM access_code_redemptions acr JOIN users ru ON acr.user_id=ru.id WHERE acr.code_id=ac.id ORDER BY acr.redeemed_at) as redeemed_by
+  FROM access_codes ac
+  LEFT JOIN users u ON ac.used_by=u.id
+  LEFT JOIN cohorts c ON ac.cohort_id=c.id
+  LEFT JOIN access_code_campaigns cp ON ac.campaign_id=cp.id
+  LEFT JOIN departments d ON ac.department_id=d.id
+  LEFT JOIN subjects s ON ac.subject_id=s.id
+`;
+
+app.get('/api/admin/codes', verifyToken, requirePermission('codes.manage'), async (req, res) => {
+  try {
+    const { status, campaignId } = req.query;
+    if (status && !CODE_STATUSES.includes(status)) return res.status(400).json({ error: `Status must be one of: ${CODE_STATUSES.join(', ')}` });
+    if (campaignId && !parseId(campaignId)) return res.status(400).json({ error: 'campaignId must be an id' });
+    const r = await pool.query(`
+      ${ACCESS_CODES_SQL}
+      WHERE ($1::text IS NULL OR ${CODE_STATUS_SQL}=$1) AND ($2::int IS NULL OR ac.campaign_id=$2)
+      ORDER BY ac.created_at DESC, ac.id DESC
+    `, [status || null, campaignId || null]);
+    res.json({ codes: r.rows });
+  } catch (e) {
+    console.error('List codes error:', e);
+    res.status(500).json({ error: 'Failed to list codes' });
+  }
+});
+
+// Revoking stops further registrations; accounts already created with the code are unaffected
+for (const [action, revokedAt] of [['revoke', 'LOCALTIMESTAMP'], ['unrevoke', 'NULL']]) {
+  app.post(`/api/admin/codes/:id/${action}`, verifyToken, requirePermission('codes.manage'), requireIdParams, async (req, res) => {
+    try {
+      const r = await withTransaction(async client => {
+        const updated = await client.query(`UPDATE access_codes SET revoked_at=${revokedAt} WHERE id=$1 RETURNING code, revoked_at`, [req.params.id]);
+        if (updated.rows.length > 0) await recordAudit(req, `code.${action}`, { targetType: 'access_code', targetId: req.params.id, after: updated.rows[0] }, client);
+        return updated;
+      });
+      if (r.rows.length === 0) return res.status(404).json({ error: 'Code not found' });
+      res.json({ message: `Code ${r.rows[0].code} ${action}d` });
+    } catch (e) {
+      console.error(`Code ${action} error:`, e);
+      res.status(500).json({ error: `Failed to ${action} code` });
+    }
+  });
+}
+
+app.get('/api/admin/code-campaigns', verifyToken, requirePermission('codes.manage'), async (req, res) => {
+  try {
+    const r = await pool.query(`
+      SELECT cp.*, cu.email as created_by_email, COUNT(ac.id)::int as code_count,
+             ${CODE_STATUSES.map(st => `(COUNT(ac.id) FILTER (WHERE ${CODE_STATUS_SQL}='${st}'))::int as ${st}`).join(', ')},
+             COALESCE(SUM(ac.use_count), 0)::int as redemptions
+      FROM access_code_campaigns cp
+      LEFT JOIN access_codes ac ON ac.campaign_id=cp.id
+      LEFT JOIN users cu ON cp.created_by=cu.id
+      GROUP BY cp.id, cu.email
+      ORDER BY cp.created_at DESC
+    `);
+    res.json({ campaigns: r.rows });
+  } catch (e) {
+    console.error('List campaigns error:', e);
+    res.status(500).json({ error: 'Failed to list campaigns' });
+  }
+});
+
+app.get('/api/admin/code-campaigns/:id/export', verifyToken, requirePermission('codes.manage'), requireIdParams, async (req, res) => {
+  try {
+    const campaignR = await pool.query('SELECT name FROM access_code_campaigns WHERE id=$1', [req.params.id]);
+    if (campaignR.rows.length === 0) return res.status(404).json({ error: 'Campaign not found' });
+    const r = await pool.query(`${ACCESS_CODES_SQL} WHERE ac.campaign_id=$1 ORDER BY ac.id`, [req.params.id]);
+    const rows = r.rows.map(row => ({ ...row, redeemed_by: row.redeemed_by.join(' ') }));
+    const slug = campaignR.rows[0].name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'campaign';
+    sendCsv(res, `codes-${slug}.csv`, rows, ['code', 'status', 'max_uses', 'use_count', 'expires_at', 'revoked_at', 'department_code', 'subject_code', 'cohort_name', 'sent_to_email', 'redeemed_by', 'created_at']);
+  } catch (e) {
+    console.error('Export campaign error:', e);
+    res.status(500).json({ error: 'Failed to export campaign' });
+  }
+});
+
+app.post('/api/admin/code-campaigns/:id/revoke', verifyToken, requirePermission('codes.manage'), requireIdParams, async (req, res) => {
+  try {
+    const campaignR = await pool.query('SELECT id FROM access_code_campaigns WHERE id=$1', [req.params.id]);
+    if (campaignR.rows.length === 0) return res.status(404).json({ error: 'Campaign not found' });
+    const r = await withTransaction(async client => {
+      const updated = await client.query('UPDATE access_codes SET revoked_at=LOCALTIMESTAMP WHERE campaign_id=$1 AND revoked_at IS NULL RETURNING code', [req.params.id]);
+      await recordAudit(req, 'campaign.revoke', { targetType: 'campaign', targetId: req.params.id, after: { revoked: updated.rows.map(row => row.code) } }, client);
+      return updated;
+    });
+    res.json({ message: `${r.rows.length} code(s) revoked` });
+  } catch (e) {
+    console.error('Revoke campaign error:', e);
+    res.status(500).json({ error: 'Failed to revoke campaign' });
+  }
+});
+
+app.get('/api/admin/users', verifyToken, requirePermission('users.view'), async (req, res) => {
+  try {
+    const { cohortId } = req.query;
+    if (cohortId && !Number.isInteger(Number(cohortId))) return res.status(400).json({ error: 'cohortId must be an id' });
+    const r = await pool.query(`
+      SELECT u.id,u.email,u.is_admin,ARRAY(SELECT r.name FROM user_roles ur JOIN roles r ON ur.role_id=r.id WHERE ur.user_id=u.id ORDER BY r.name) as roles,
+             ARRAY(SELECT c.name FROM cohort_members cm JOIN cohorts c ON cm.cohort_id=c.id WHERE cm.user_id=u.id ORDER BY c.name) as cohorts,
+             u.session_count,u.aar_count,u.total_study_minutes,u.onboarding_complete,u.unlock_requested,u.created_at,s.name as primary_subject
+      FROM users u LEFT JOIN subjects s ON u.primary_subject_id=s.id
+      ${cohortId ? 'WHERE u.id IN (SELECT user_id FROM cohort_members WHERE cohort_id=$1)' : ''}
+      ORDER BY u.created_at DESC
+    `, cohortId ? [cohortId] : []);
+    res.json({ users: r.rows });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+app.post('/api/admin/resources', verifyToken, requirePermission('catalog.manage'), async (req, res) => {
+  try {
+    const { title, url, type } = req.body;
+    const subjectIds = req.body.subjectIds || (req.body.subjectId ? [Number(req.body.subjectId)] : []);
+    if (!Array.isArray(subjectIds) || subjectIds.some(id => !Number.isInteger(id))) return res.status(400).json({ error: 'subjectIds must be a list of subject ids' });
+    if (subjectIds.length === 0 || !title || !url || !type) return res.status(400).json({ error: 'All fields required' });
+    const { fields, error } = parseResourceFields(req.body);
+    if (error) return res.status(400).json({ error });
+    if (!await subjectsExist(subjectIds)) return res.status(400).json({ error: 'Subject not found' });
+
+    const resource = await withTransaction(async client => {
+      const r = await client.query('INSERT INTO resources (subject_id,title,url,type,duration_minutes,is_active) VALUES ($1,$2,$3,$4,COALESCE($5,0),COALESCE($6,TRUE)) RETURNING *', [subjectIds[0], fields.title, fields.url, fields.type, fields.duration_minutes, fields.is_active]);
+      for (const subjectId of subjectIds) await linkResource(client, r.rows[0].id, subjectId, fields.sort_order);
+      const created = await getAdminResource(r.rows[0].id, client);
+      await recordAudit(req, 'resource.create', { targetType: 'resource', targetId: created.id, after: created }, client);
+      return created;
+    });
+    res.json({ message: 'Resource added', resource });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+app.get('/api/admin/resources', verifyToken, requirePermission('catalog.manage'), async (req, res) => {
+  try {
+    const r = await pool.query(`SELECT r.*,s.name as subject_name,s.code as subject_code,rs.sort_order,${RESOURCE_SUBJECTS_SQL} FROM resource_subjects rs JOIN resources r ON rs.resource_id=r.id JOIN subjects s ON rs.subject_id=s.id ORDER BY s.code,rs.sort_order,r.title`);
+    res.json({ resources: r.rows });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+app.patch('/api/admin/resources/:id', verifyToken, requirePermission('catalog.manage'), requireIdParams, async (req, res) => {
+  try {
+    const existingR = await pool.query('SELECT * FROM resources WHERE id=$1', [req.params.id]);
+    if (existingR.rows.length === 0) return res.status(404).json({ error: 'Resource not found' });
+    const resource = existingR.rows[0];
+    const before = await getAdminResource(resource.id);
+    const { fields, error } = parseResourceFields(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const { subjectIds } = req.body;
+    if (subjectIds !== undefined) {
+      if (!Array.isArray(subjectIds) || subjectIds.length === 0) return res.status(400).json({ error: 'A resource needs at least one subject' });
+      if (!await subjectsExist(subjectIds)) return res.status(400).json({ error: 'Subject not found' });
+      if (!subjectIds.map(Number).includes(resource.subject_id)) fields.subject_id = subjectIds[0];
+    }
+
+    const after = await withTransaction(async client => {
+      if (subjectIds !== undefined) {
+        await client.query('DELETE FROM resource_subjects WHERE resource_id=$1 AND NOT (subject_id=ANY($2::int[]))', [resource.id, subjectIds]);
+        for (const subjectId of subjectIds) await linkResource(client, resource.id, subjectId);
+      }
+
+      // sort_order is the position within the resource's own subject
+      const { sort_order: sortOrder, ...columns } = fields;
+      if (sortOrder !== undefined) {
+        columns.sort_order = sortOrder;
+        await linkResource(client, resource.id, columns.subject_id || resource.subject_id, sortOrder);
+      }
+      const keys = Object.keys(columns);
+      if (keys.length > 0) {
+        await client.query(`UPDATE resources SET ${keys.map((c, i) => `${c}=$${i + 1}`).join(',')} WHERE id=$${keys.length + 1}`, [...Object.values(columns), resource.id]);
+      }
+      const updated = await getAdminResource(resource.id, client);
+      await recordAudit(req, 'resource.update', { targetType: 'resource', targetId: resource.id, before, after: updated }, client);
+      return updated;
+    });
+    res.json({ message: 'Resource updated', resource: after });
+  } catch (e) {
+    console.error('Update resource error:', e);
+    res.status(500).json({ error: 'Failed to update resource' });
+  }
+});
+
+// Completion history points at resources, so they are deactivated rather than deleted
+app.delete('/api/admin/resources/:id', verifyToken, requirePermission('catalog.manage'), requireIdParams, async (req, res) => {
+  try {
+    const r = await withTransaction(async client => {
+      const updated = await client.query('UPDATE resources SET is_active=FALSE WHERE id=$1 RETURNING id, is_active', [req.params.id]);
+      if (updated.rows.length > 0) await recordAudit(req, 'resource.deactivate', { targetType: 'resource', targetId: req.params.id, after: updated.rows[0] }, client);
+      return updated;
+    });
+    if (r.rows.length === 0) return res.status(404).json({ error: 'Resource not found' });
+    res.json({ message: 'Resource deactivated' });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+app.post('/api/admin/subjects/:id/resources/reorder', verifyToken, requirePermission('catalog.manage'), requireIdParams, async (req, res) => {
+  try {
+    const { ids } = req.body;
+    if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => !Number.isInteger(id))) return res.status(400).json({ error: 'ids must be a list of ids' });
+    const linkedR = await pool.query('SELECT resource_id, sort_order FROM resource_subjects WHERE subject_id=$1 AND resource_id=ANY($2) ORDER BY sort_order', [req.params.id, ids]);
+    if (linkedR.rows.length !== new Set(ids).size) return res.status(400).json({ error: 'Every id must be a resource of this subject' });
+    await withTransaction(async client => {
+      for (let i = 0; i < ids.length; i++) {
+        await client.query('UPDATE resource_subjects SET sort_order=$1 WHERE subject_id=$2 AND resource_id=$3', [i + 1, req.params.id, ids[i]]);
+        await client.query('UPDATE resources SET sort_order=$1 WHERE id=$2 AND subject_id=$3', [i + 1, ids[i], req.params.id]);
+      }
+      await recordAudit(req, 'resource.reorder', { targetType: 'subject', targetId: req.params.id, before: linkedR.rows.map(row => row.resource_id), after: ids }, client);
+    });
+    res.json({ message: 'Resources reordered' });
+  } catch (e) {
+    console.error('Reorder resources error:', e);
+    res.status(500).json({ error: 'Failed to reorder resources' });
+  }
+});
+
+app.post('/api/admin/users/:id/unlock', verifyToken, requirePermission('unlocks.manage'), async (req, res) => {
+  try {
+    const userId = req.params.id;
+    if ((await pool.query('SELECT id FROM users WHERE id=$1', [userId])).rows.length === 0) return res.status(404).json({ error: 'User not found' });
+    // A pending request is settled as approved by the admin who unlocked
+    const ended = await withTransaction(async client => {
+      const result = await endSubjectLock(client, userId, { reason: 'admin_unlock', endedBy: req.user.userId, requestStatus: 'approved' });
+      if (result) await recordAudit(req, 'unlock.force', { targetType: 'user', targetId: userId, before: result.before, after: { ...result.after, requestId: result.requestId } }, client);
+      return result;
+    });
+    if (!ended) return res.status(400).json({ error: 'No subject to unlock' });
+    res.json({ message: 'User unlocked successfully.' });
+  } catch (e) { res.status(500).json({ error: 'Failed to unlock user' }); }
+});
+
+app.get('/api/admin/lockouts', verifyToken, requirePermission('users.view'), async (req, res) => {
+  try {
+    const r = await pool.query(`
+      SELECT id, email, failed_login_attempts, last_failed_login_at, locked_until, COALESCE(locked_until > LOCALTIMESTAMP, FALSE) as locked
+      FROM users WHERE failed_login_attempts > 0 OR locked_until > LOCALTIMESTAMP
+      ORDER BY locked_until DESC NULLS LAST, last_failed_login_at DESC
+    `);
+    res.json({ lockouts: r.rows });
+  } catch (e) {
+    console.error('List lockouts error:', e);
+    res.status(500).json({ error: 'Failed to list lockouts' });
+  }
+});
+
+app.delete('/api/admin/lockouts/:userId', verifyToken, requirePermission('users.manage'), requireIdParams, async (req, res) => {
+  try {
+    const beforeR = await pool.query('SELECT failed_login_attempts, locked_until FROM users WHERE id=$1', [req.params.userId]);
+    const r = await withTransaction(async client => {
+      const updated = await client.query('UPDATE users SET failed_login_attempts=0, locked_until=NULL WHERE id=$1 RETURNING email, failed_login_attempts, locked_until', [req.params.userId]);
+      if (updated.rows.length > 0) {
+        const { email, ...after } = updated.rows[0];
+        await recordAudit(req, 'lockout.clear', { targetType: 'user', targetId: req.params.userId, before: beforeR.rows[0], after }, client);
+      }
+      return updated;
+    });
+    if (r.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+    await rateLimits.loginAccount.reset(r.rows[0].email);
+    res.json({ message: 'Lockout cleared' });
+  } catch (e) {
+    console.error('Clear lockout error:', e);
+    res.status(500).json({ error: 'Failed to clear lockout' });
+  }
+});
+
+app.get('/api/admin/roles', verifyToken, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const r = await pool.query(`
+      SELECT r.id, r.name, r.description, COALESCE(ARRAY_AGG(rp.permission ORDER BY rp.permission) FILTER (WHERE rp.permission IS NOT NULL), '{}') as permissions,
+             (SELECT COUNT(*)::int FROM user_roles ur WHERE ur.role_id=r.id) as user_count
+      FROM roles r LEFT JOIN role_permissions rp ON rp.role_id=r.id
+      GROUP BY r.id ORDER BY r.id
+    `);
+    res.json({ roles: r.rows, permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })) });
+  } catch (e) {
+    console.error('List roles error:', e);
+    res.status(500).json({ error: 'Failed to list roles' });
+  }
+});
+
+app.get('/api/admin/users/:id/roles', verifyToken, requirePermission('roles.manage'), requireIdParams, async (req, res) => {
+  try {
+    const r = await pool.query(`
+      SELECT r.name, ur.granted_at, g.email as granted_by_email
+      FROM user_roles ur JOIN roles r ON ur.role_id=r.id LEFT JOIN users g ON ur.granted_by=g.id
+      WHERE ur.user_id=$1 ORDER BY r.name
+    `, [req.params.id]);
+    res.json({ roles: r.rows });
+  } catch (e) {
+    console.error('User roles error:', e);
+    res.status(500).json({ error: 'Failed to load roles' });
+  }
+});
+
+// Any role change signs the user out everywhere so clients pick up the new permissions
+app.post('/api/admin/users/:id/roles', verifyToken, requirePermission('roles.manage'), requireIdParams, async (req, res) => {
+  try {
+    const { role } = req.body;
+    const roleR = await pool.query('SELECT id FROM roles WHERE name=$1', [role]);
+    if (roleR.rows.length === 0) return res.status(400).json({ error: 'Unknown role' });
+    const userR = await pool.query('SELECT id FROM users WHERE id=$1', [req.params.id]);
+    if (userR.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+
+    const granted = await withTransaction(async client => {
+      if (!await grantRole(userR.rows[0].id, role, req.user.userId, client)) return false;
+      await revokeUserSessions(userR.rows[0].id, client);
+      await recordAudit(req, 'role.grant', { targetType: 'user', targetId: userR.rows[0].id, after: { role } }, client);
+      return true;
+    });
+    if (!granted) return res.json({ message: 'User already has this role' });
+    res.json({ message: `Granted ${role}` });
+  } catch (e) {
+    console.error('Grant role error:', e);
+    res.status(500).json({ error: 'Failed to grant role' });
+  }
+});
+
+app.delete('/api/admin/users/:id/roles/:role', verifyToken, requirePermission('roles.manage'), requireIdParams, async (req, res) => {
+  try {
+    const { id, role } = req.params;
+    const revoked = await withTransaction(async client => {
+      if (role === 'super_admin' && (await lockSuperAdmins(client)).length <= 1) return 'last';
+      const r = await client.query('DELETE FROM user_roles ur USING roles r WHERE ur.role_id=r.id AND ur.user_id=$1 AND r.name=$2 RETURNING ur.user_id', [id, role]);
+      if (r.rows.length === 0) return false;
+      await client.query('UPDATE users SET is_admin=EXISTS (SELECT 1 FROM user_roles WHERE user_id=$1) WHERE id=$1', [id]);
+      await revokeUserSessions(id, client);
+      await recordAudit(req, 'role.revoke', { targetType: 'user', targetId: id, before: { role } }, client);
+      return true;
+    });
+    if (revoked === 'last') return res.status(400).json({ error: 'Cannot remove the last super-admin' });
+    if (!revoked) return res.status(404).json({ error: 'User does not have this role' });
+    res.json({ message: `Revoked ${role}` });
+  } catch (e) {
+    console.error('Revoke role error:', e);
+    res.status(500).json({ error: 'Failed to revoke role' });
+  }
+});
+
+app.delete('/api/admin/users/:id', verifyToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const userId = req.params.id;
+    if (parseInt(userId) === req.user.userId) return res.status(400).json({ error: 'Cannot delete yourself' });
+    const userR = await pool.query('SELECT * FROM users WHERE id=$1', [userId]);
+    if (userR.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+    const codesR = await pool.query('SELECT ac.code FROM access_code_redemptions acr JOIN access_codes ac ON acr.code_id=ac.id WHERE acr.user_id=$1', [userId]);
+    await withTransaction(async client => {
+      await deleteUserCascade(client, userId);
+      await recordAudit(req, 'user.delete', { targetType: 'user', targetId: userId, before: { ...userR.rows[0], freed_codes: codesR.rows.map(row => row.code) } }, client);
+    });
+    res.json({ message: 'User deleted' });
+  } catch (e) { res.status(500).json({ error: 'Failed to delete user' }); }
+});
+
+// =============================================
+// ADMIN: QUESTION BANK
+// =============================================
+
+const QUESTION_TYPES = ['multiple_choice', 'short_answer'];
+
+// Validate a full question (camelCase) into column values
+async function parseQuestionFields(q) {
+  if (!q.subjectId) return { error: 'Subject required' };
+  const subjectId = parseId(q.subjectId);
+  if (!subjectId) return { error: 'subjectId must be an id' };
+  if ((await pool.query('SELECT id FROM subjects WHERE id=$1', [subjectId])).rows.length === 0) return { error: 'Subject not found' };
+  if (!QUESTION_TYPES.includes(q.type)) return { error: `Type must be one of: ${QUESTION_TYPES.join(', ')}` };
+  if (!q.prompt || !String(q.prompt).trim()) return { error: 'Prompt required' };
+
+  const fields = { subject_id: subjectId, type: q.type, prompt: String(q.prompt).trim(), explanation: q.explanation || null, options: null, correct_option: null, accepted_answers: null };
+  if (q.type === 'multiple_choice') {
+    if (!Array.isArray(q.options) || q.options.length < 2 || q.options.some(o => !o || !String(o).trim())) return { error: 'Multiple choice questions need at least 2 options' };
+    const correct = Number(q.correctOption);
+    if (!Number.isInteger(correct) || correct < 0 || correct >= q.options.length) return { error: 'correctOption must be the index of one of the options' };
+    fields.options = JSON.stringify(q.options.map(o => String(o).trim()));
+    fields.correct_option = correct;
+  } else {
+    if (!Array.isArray(q.acceptedAnswers) || q.acceptedAnswers.length === 0 || q.acceptedAnswers.some(a => !normalizeAnswer(a))) return { error: 'Short answer questions need at least one accepted answer' };
+    fields.accepted_answers = JSON.stringify(q.acceptedAnswers.map(a => String(a).trim()));
+  }
+  return { fields };
+}
+
+// Case, whitespace and trailing punctuation don't make a short answer wrong
+function normalizeAnswer(answer) {
+  return String(answer == null ? '' : answer).toLowerCase().replace(/\s+/g, ' ').trim().replace(/[.!?]+$/, '');
+}
+
+function gradeAnswer(question, answer) {
+  if (answer === undefined || answer === null || answer === '') return false;
+  if (question.type === 'multiple_choice') return Number(answer) === question.correct_option;
+  return question.accepted_answers.some(a => normalizeAnswer(a) === normalizeAnswer(answer));
+}
+
+app.get('/api/admin/questions', verifyToken, requirePermission('content.manage'), async (req, res) => {
+  try {
+    const { subjectId } = req.query;
+    if (subjectId && !parseId(subjectId)) return res.status(400).json({ error: 'subjectId must be an id' });
+    const r = await pool.query(`
+      SELECT q.*, s.name as subject_name, s.code as subject_code,
+             COUNT(qa.id) FILTER (WHERE qa.is_correct IS NOT NULL)::int as attempts,
+             COUNT(qa.id) FILTER (WHERE qa.is_correct)::int as correct
+      FROM questions q
+      JOIN subjects s ON q.subject_id=s.id
+      LEFT JOIN quiz_answers qa ON qa.question_id=q.id
+      WHERE ($1::int IS NULL OR q.subject_id=$1)
+      GROUP BY q.id, s.id
+      ORDER BY s.code, q.created_at
+    `, [subjectId || null]);
+    res.json({ questions: r.rows.map(q => ({ ...q, accuracy: q.attempts ? Math.round((q.correct / q.attempts) * 100) : null })) });
+  } catch (e) {
+    console.error('Get questions error:', e);
+    res.status(500).json({ error: 'Failed to get questions' });
+  }
+});
+
+app.post('/api/admin/questions', verifyToken, requirePermission('content.manage'), async (req, res) => {
+  try {
+    const { fields, error } = await parseQuestionFields(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const r = await withTransaction(async client => {
+      const inserted = await client.query(
+        'INSERT INTO questions (subject_id,type,prompt,options,correct_option,accepted_answers,explanation,created_by) VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING *',
+        [fields.subject_id, fields.type, fields.prompt, fields.options, fields.correct_option, fields.accepted_answers, fields.explanation, req.user.userId]
+      );
+      await recordAudit(req, 'question.create', { targetType: 'question', targetId: inserted.rows[0].id, after: inserted.rows[0] }, client);
+      return inserted;
+    });
+    res.json({ message: 'Question added', question: r.rows[0] });
+  } catch (e) {
+    console.error('Create question error:', e);
+    res.status(500).json({ error: 'Failed to add question' });
+  }
+});
+
+app.patch('/api/admin/questions/:id', verifyToken, requirePermission('content.manage'), requireIdParams, async (req, res) => {
+  try {
+    const existingR = await pool.query('SELECT * FROM questions WHERE id=$1', [req.params.id]);
+    if (existingR.rows.length === 0) return res.status(404).json({ error: 'Question not found' });
+    const q = existingR.rows[0];
+
+    const { fields, error } = await parseQuestionFields({
+      subjectId: q.subject_id, type: q.type, prompt: q.prompt, options: q.options, correctOption: q.correct_option, acceptedAnswers: q.accepted_answers, explanation: q.explanation,
+      ...req.body
+    });
+    if (error) return res.status(400).json({ error });
+    const isActive = req.body.isActive !== undefined ? !!req.body.isActive : q.is_active;
+
+    const r = await withTransaction(async client => {
+      const updated = await client.query(
+        'UPDATE questions SET subject_id=$1,type=$2,prompt=$3,options=$4,correct_option=$5,accepted_answers=$6,explanation=$7,is_active=$8,updated_at=CURRENT_TIMESTAMP WHERE id=$9 RETURNING *',
+        [fields.subject_id, fields.type, fields.prompt, fields.options, fields.correct_option, fields.accepted_answers, fields.explanation, isActive, q.id]
+      );
+      await recordAudit(req, 'question.update', { targetType: 'question', targetId: q.id, before: q, after: updated.rows[0] }, client);
+      return updated;
+    });
+    res.json({ message: 'Question updated', question: r.rows[0] });
+  } catch (e) {
+    console.error('Update question error:', e);
+    res.status(500).json({ error: 'Failed to update question' });
+  }
+});
+
+// Questions with answer history are retired rather than deleted
+app.delete('/api/admin/questions/:id', verifyToken, requirePermission('content.manage'), requireIdParams, async (req, res) => {
+  try {
+    const r = await withTransaction(async client => {
+      const updated = await client.query('UPDATE questions SET is_active=FALSE,updated_at=CURRENT_TIMESTAMP WHERE id=$1 RETURNING id, is_active', [req.params.id]);
+      if (updated.rows.length > 0) await recordAudit(req, 'question.deactivate', { targetType: 'question', targetId: req.params.id, after: updated.rows[0] }, client);
+      return updated;
+    });
+    if (r.rows.length === 0) return res.status(404).json({ error: 'Question not found' });
+    res.json({ message: 'Question deactivated' });
+  } catch (e) {
+    console.error('Delete question error:', e);
+    res.status(500).json({ error: 'Failed to delete question' });
+  }
+});
+
+// =============================================
+// QUIZZES
+// =============================================
+
+app.post('/api/quizzes/start', verifyToken, async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+    const count = req.body.count === undefined ? 5 : Number(req.body.count);
+    if (!sessionId) return res.status(400).json({ error: 'Session required' });
+    if (!Number.isInteger(count) || count < 1 || count > 20) return res.status(400).json({ error: 'Count must be between 1 and 20' });
+
+    const sessionR = await pool.query('SELECT * FROM study_sessions WHERE id=$1 AND user_id=$2', [sessionId, req.user.userId]);
+    if (sessionR.rows.length === 0) return res.status(404).json({ error: 'Session not found' });
+    const session = sessionR.rows[0];
+    if (!OPEN_SESSION_STATUSES.includes(session.status)) return res.status(400).json({ error: `Session already ${session.status}` });
+
+    const questionsR = await pool.query('SELECT id,type,prompt,options FROM questions WHERE subject_id=$1 AND is_active=TRUE ORDER BY RANDOM() LIMIT $2', [session.subject_id, count]);
+    if (questionsR.rows.length === 0) return res.status(400).json({ error: 'No questions available for this subject yet' });
+
+    const quizR = await pool.query('INSERT INTO quizzes (user_id,subject_id,session_id,question_count) VALUES ($1,$2,$3,$4) RETURNING id,session_id,question_count,started_at', [req.user.userId, session.subject_id, session.id, questionsR.rows.length]);
+    const quiz = quizR.rows[0];
+    for (const q of questionsR.rows) {
+      await pool.query('INSERT INTO quiz_answers (quiz_id,question_id) VALUES ($1,$2)', [quiz.id, q.id]);
+    }
+
+    res.json({ message: 'Quiz started', quiz: { ...quiz, questions: questionsR.rows } });
+  } catch (e) {
+    console.error('Start quiz error:', e);
+    res.status(500).json({ error: 'Failed to start quiz' });
+  }
+});
+
+app.post('/api/quizzes/:id/submit', verifyToken, requireIdParams, async (req, res) => {
+  try {
+    const { answers } = req.body;
+    if (!Array.isArray(answers)) return res.status(400).json({ error: 'Answers required' });
+    const validAnswer = a => a !== null && typeof a === 'object' && !Array.isArray(a) &&
+      (a.answer === undefined || a.answer === null || ['string', 'number'].includes(typeof a.answer));
+    if (!answers.every(validAnswer)) return res.status(400).json({ error: 'Each answer must be { questionId, answer } with a string or number answer' });
+
+    const quizR = await pool.query('SELECT * FROM quizzes WHERE id=$1 AND user_id=$2', [req.params.id, req.user.userId]);
+    if (quizR.rows.length === 0) return res.status(404).json({ error: 'Quiz not found' });
+    const quiz = quizR.rows[0];
+    if (quiz.submitted_at) return res.status(400).json({ error: 'Quiz already submitted' });
+
+    const questionsR = await pool.query('SELECT q.* FROM quiz_answers qa JOIN questions q ON qa.question_id=q.id WHERE qa.quiz_id=$1 ORDER BY qa.id', [quiz.id]);
+    const given = new Map(answers.map(a => [Number(a.questionId), a.answer]));
+
+    // Unanswered questions count as wrong
+    const results = [];
+    for (const q of questionsR.rows) {
+      const answer = given.has(q.id) ? given.get(q.id) : null;
+      const correct = gradeAnswer(q, answer);
+      await pool.query('UPDATE quiz_answers SET answer=$1,is_correct=$2,answered_at=CURRENT_TIMESTAMP WHERE quiz_id=$3 AND question_id=$4', [answer === null ? null : String(answer), correct, quiz.id, q.id]);
+      results.push({
+        questionId: q.id,
+        answer,
+        correct,
+        correctAnswer: q.type === 'multiple_choice' ? q.correct_option : q.accepted_answers[0],
+        explanation: q.explanation
+      });
+    }
+
+    const correctCount = results.filter(r => r.correct).length;
+    const score = Math.round((correctCount / quiz.question_count) * 100);
+    await pool.query('UPDATE quizzes SET correct_count=$1,score=$2,submitted_at=CURRENT_TIMESTAMP WHERE id=$3', [correctCount, score, quiz.id]);
+    await pool.query('UPDATE users SET last_activity=CURRENT_TIMESTAMP WHERE id=$1', [req.user.userId]);
+
+    res.json({ message: 'Quiz submitted', score, correctCount, questionCount: quiz.question_count, results });
+  } catch (e) {
+    console.error('Submit quiz error:', e);
+    res.status(500).json({ error: 'Failed to submit quiz' });
+  }
+});
+
+app.get('/api/quizzes', verifyToken, async (req, res) => {
+  try {
+    const r = await pool.query('SELECT qz.*,s.name as subject_name,s.code as subject_code FROM quizzes qz JOIN subjects s ON qz.subject_id=s.id WHERE qz.user_id=$1 ORDER BY qz.started_at DESC', [req.user.userId]);
+    res.json({ quizzes: r.rows });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+// Per-question accuracy across every quiz the user has submitted
+app.get('/api/quizzes/accuracy', verifyToken, async (req, res) => {
+  try {
+    const { subjectId } = req.query;
+    if (subjectId && !parseId(subjectId)) return res.status(400).json({ error: 'subjectId must be an id' });
+    const r = await pool.query(`
+      SELECT q.id as question_id, q.prompt, q.type, q.subject_id,
+             COUNT(qa.id)::int as attempts,
+             COUNT(qa.id) FILTER (WHERE qa.is_correct)::int as correct,
+             MAX(qa.answered_at) as last_answered_at,
+             (ARRAY_AGG(qa.is_correct ORDER BY qa.answered_at DESC))[1] as last_correct
+      FROM quiz_answers qa
+      JOIN quizzes qz ON qa.quiz_id=qz.id
+      JOIN questions q ON qa.question_id=q.id
+      WHERE qz.user_id=$1 AND qa.is_correct IS NOT NULL AND ($2::int IS NULL OR q.subject_id=$2)
+      GROUP BY q.id
+      ORDER BY (COUNT(qa.id) FILTER (WHERE qa.is_correct))::float / COUNT(qa.id), q.id
+    `, [req.user.userId, subjectId || null]);
+    res.json({ questions: r.rows.map(q => ({ ...q, accuracy: Math.round((q.correct / q.attempts) * 100) })) });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+// =============================================
+// ADMIN: FLASHCARD DECKS
+// =============================================
+
+app.get('/api/admin/decks', verifyToken, requirePermission('content.manage'), async (req, res) => {
+  try {
+    const { subjectId } = req.query;
+    if (subjectId && !parseId(subjectId)) return res.status(400).json({ error: 'subjectId must be an id' });
+    const r = await pool.query(`
+      SELECT d.*, s.name as subject_name, s.code as subject_code,
+             COUNT(f.id) FILTER (WHERE f.owner_id IS NULL AND f.is_active)::int as card_count
+      FROM flashcard_decks d
+      JOIN subjects s ON d.subject_id=s.id
+      LEFT JOIN flashcards f ON f.deck_id=d.id
+      WHERE ($1::int IS NULL OR d.subject_id=$1)
+      GROUP BY d.id, s.id
+      ORDER BY s.code, d.name
+    `, [subjectId || null]);
+    res.json({ decks: r.rows });
+  } catch (e) {
+    console.error('Get decks error:', e);
+    res.status(500).json({ error: 'Failed to get decks' });
+  }
+});
+
+app.post('/api/admin/decks', verifyToken, requirePermission('content.manage'), async (req, res) => {
+  try {
+    const { subjectId, name, description } = req.body;
+    if (!subjectId || !name) return res.status(400).json({ error: 'Subject and name required' });
+    if (!parseId(subjectId)) return res.status(400).json({ error: 'subjectId must be an id' });
+    const subjectR = await pool.query('SELECT id FROM subjects WHERE id=$1', [parseId(subjectId)]);
+    if (subjectR.rows.length === 0) return res.status(400).json({ error: 'Subject not found' });
+    const r = await withTransaction(async client => {
+      const inserted = await client.query('INSERT INTO flashcard_decks (subject_id,name,description,created_by) VALUES ($1,$2,$3,$4) RETURNING *', [subjectR.rows[0].id, name, description || null, req.user.userId]);
+      await recordAudit(req, 'deck.create', { targetType: 'deck', targetId: inserted.rows[0].id, after: inserted.rows[0] }, client);
+      return inserted;
+    });
+    res.json({ message: 'Deck created', deck: r.rows[0] });
+  } catch (e) {
+    console.error('Create deck error:', e);
+    res.status(500).json({ error: 'Failed to create deck' });
+  }
+});
+
+app.patch('/api/admin/decks/:id', verifyToken, requirePermission('content.manage'), requireIdParams, async (req, res) => {
+  try {
+    const { name, description, isActive } = req.body;
+    const beforeR = await pool.query('SELECT * FROM flashcard_decks WHERE id=$1', [req.params.id]);
+    const r = await withTransaction(async client => {
+      const updated = await client.query(`
+        UPDATE flashcard_decks SET name=COALESCE($1,name), description=COALESCE($2,description), is_active=COALESCE($3,is_active), updated_at=CURRENT_TIMESTAMP
+        WHERE id=$4 RETURNING *
+      `, [name || null, description === undefined ? null : description, isActive === undefined ? null : !!isActive, req.params.id]);
+      if (updated.rows.length > 0) await recordAudit(req, 'deck.update', { targetType: 'deck', targetId: req.params.id, before: beforeR.rows[0], after: updated.rows[0] }, client);
+      return updated;
+    });
+    if (r.rows.length === 0) return res.status(404).json({ error: 'Deck not found' });
+    res.json({ message: 'Deck updated', deck: r.rows[0] });
+  } catch (e) {
+    console.error('Update deck error:', e);
+    res.status(500).json({ error: 'Failed to update deck' });
+  }
+});
+
+app.get('/api/admin/decks/:id/cards', verifyToken, requirePermission('content.manage'), requireIdParams, async (req, res) => {
+  try {
+    const r = await pool.query('SELECT * FROM flashcards WHERE deck_id=$1 AND owner_id IS NULL ORDER BY created_at', [req.params.id]);
+    res.json({ cards: r.rows });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+app.post('/api/admin/decks/:id/cards', verifyToken, requirePermission('content.manage'), requireIdParams, async (req, res) => {
+  try {
+    const { front, back } = req.body;
+    if (!front || !back) return res.status(400).json({ error: 'Front and back required' });
+    const deckR = await pool.query('SELECT id FROM flashcard_decks WHERE id=$1', [req.params.id]);
+    if (deckR.rows.length === 0) return res.status(404).json({ error: 'Deck not found' });
+    const r = await withTransaction(async client => {
+      const inserted = await client.query('INSERT INTO flashcards (deck_id,front,back) VALUES ($1,$2,$3) RETURNING *', [req.params.id, front, back]);
+      await recordAudit(req, 'card.create', { targetType: 'flashcard', targetId: inserted.rows[0].id, after: inserted.rows[0] }, client);
+      return inserted;
+    });
+    res.json({ message: 'Card added', card: r.rows[0] });
+  } catch (e) {
+    console.error('Add card error:', e);
+    res.status(500).json({ error: 'Failed to add card' });
+  }
+});
+
+app.patch('/api/admin/cards/:id', verifyToken, requirePermission('content.manage'), requireIdParams, async (req, res) => {
+  try {
+    const { front, back, isActive } = req.body;
+    const beforeR = await pool.query('SELECT * FROM flashcards WHERE id=$1 AND owner_id IS NULL', [req.params.id]);
+    const r = await withTransaction(async client => {
+      const updated = await client.query(`
+        UPDATE flashcards SET front=COALESCE($1,front), back=COALESCE($2,back), is_active=COALESCE($3,is_active), updated_at=CURRENT_TIMESTAMP
+        WHERE id=$4 AND owner_id IS NULL RETURNING *
+      `, [front || null, back || null, isActive === undefined ? null : !!isActive, req.params.id]);
+      if (updated.rows.length > 0) await recordAudit(req, 'card.update', { targetType: 'flashcard', targetId: req.params.id, before: beforeR.rows[0], after: updated.rows[0] }, client);
+      return updated;
+    });
+    if (r.rows.length === 0) return res.status(404).json({ error: 'Card not found' });
+    res.json({ message: 'Card updated', card: r.rows[0] });
+  } catch (e) {
+    console.error('Update card error:', e);
+    res.status(500).json({ error: 'Failed to update card' });
+  }
+});
+
+// =============================================
+// FLASHCARDS
+// =============================================
+
+const NEW_CARDS_PER_DAY = 20;
+// Review time is measured on the server from the previous review, capped per card and per day
+const MAX_REVIEW_SECONDS = 300;
+const MAX_REVIEW_MINUTES_PER_DAY = 60;
+
+// SM-2: grades 0-5, anything below 3 sends the card back to the start
+function scheduleFlashcard(schedule, grade) {
+  let { ease_factor: ease, interval_days: interval, repetitions } = schedule;
+  if (grade < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions += 1;
+    interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(interval * ease);
+  }
+  ease = Math.max(1.3, ease + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)));
+  return { ease_factor: Math.round(ease * 100) / 100, interval_days: interval, repetitions };
+}
+
+// Curated cards plus the user's own ($1), in active decks
+const VISIBLE_CARD_CONDITION = 'f.is_active=TRUE AND d.is_active=TRUE AND (f.owner_id IS NULL OR f.owner_id=$1)';
+
+app.get('/api/decks', verifyToken, async (req, res) => {
+  try {
+    const userR = await pool.query('SELECT primary_subject_id FROM users WHERE id=$1', [req.user.userId]);
+    const subjectId = userR.rows[0]?.primary_subject_id;
+    if (!subjectId) return res.json({ decks: [] });
+    const r = await pool.query(`
+      SELECT d.id, d.name, d.description,
+             COUNT(f.id)::int as card_count,
+             COUNT(f.id) FILTER (WHERE f.owner_id=$1)::int as own_card_count,
+             COUNT(f.id) FILTER (WHERE fs.due_date <= ${todaySql('$3')})::int as due_count,
+             COUNT(f.id) FILTER (WHERE fs.id IS NULL)::int as new_count
+      FROM flashcard_decks d
+      LEFT JOIN flashcards f ON f.deck_id=d.id AND f.is_active=TRUE AND (f.owner_id IS NULL OR f.owner_id=$1)
+      LEFT JOIN flashcard_schedules fs ON fs.card_id=f.id AND fs.user_id=$1
+      WHERE d.subject_id=$2 AND d.is_active=TRUE
+      GROUP BY d.id
+      ORDER BY d.name
+    `, [req.user.userId, subjectId, await getUserTimezone(req.user.userId)]);
+    res.json({ decks: r.rows });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+app.get('/api/decks/:id/cards', verifyToken, requireIdParams, async (req, res) => {
+  try {
+    const r = await pool.query(`SELECT f.id,f.deck_id,f.front,f.back,f.owner_id IS NOT NULL as is_own FROM flashcards f JOIN flashcard_decks d ON f.deck_id=d.id WHERE ${VISIBLE_CARD_CONDITION} AND d.id=$2 ORDER BY f.created_at`, [req.user.userId, req.params.id]);
+    res.json({ cards: r.rows });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+app.post('/api/decks/:id/cards', verifyToken, requireIdParams, async (req, res) => {
+  try {
+    const { front, back } = req.body;
+    if (!front || !back) return res.status(400).json({ error: 'Front and back required' });
+    const deckR = await pool.query('SELECT id FROM flashcard_decks WHERE id=$1 AND is_active=TRUE', [req.params.id]);
+    if (deckR.rows.length === 0) return res.status(404).json({ error: 'Deck not found' });
+    const r = await pool.query('INSERT INTO flashcards (deck_id,owner_id,front,back) VALUES ($1,$2,$3,$4) RETURNING *', [req.params.id, req.user.userId, front, back]);
+    res.json({ message: 'Card added', card: r.rows[0] });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
 
-    await sendEmail(user.email, 'Password Reset - RNPathfinders', `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h1 style="color: #00f0ff;">Password Reset Request 🔐</h1>
-        <p>You requested a password reset for your RNPathfinders account.</p>
-        <p>Click the button below to reset your password:</p>
-        <p style="text-align: center; margin: 30px 0;">
-          <a href="${resetLink}" style="background: linear-gradient(135deg, #00f0ff, #8338ec); color: #000; padding: 15px 30px; text-decoration: none; border-radius: 4px; font-weight: bold;">Reset Password</a>
-        </p>
-        <p style="color: #888; font-size: 12px;">This link expires in 1 hour. If you didn't request this, ignore this email.</p>
-        <p style="color: #888; font-size: 12px;">Reset link: ${resetLink}</p>
-      </div>
-    `);
+app.patch('/api/cards/:id', verifyToken, requireIdParams, async (req, res) => {
+  try {
+    const { front, back } = req.body;
+    const r = await pool.query('UPDATE flashcards SET front=COALESCE($1,front),back=COALESCE($2,back),updated_at=CURRENT_TIMESTAMP WHERE id=$3 AND owner_id=$4 RETURNING *', [front || null, back || null, req.params.id, req.user.userId]);
+    if (r.rows.length === 0) return res.status(404).json({ error: 'Card not found' });
+    res.json({ message: 'Card updated', card: r.rows[0] });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
 
-    res.json({ message: 'If an account exists with this email, a reset link will be sent.' });
-  } catch (e) {
-    console.error('Forgot password error:', e);
-    res.status(500).json({ error: 'Failed to process request' });
-  }
+app.delete('/api/cards/:id', verifyToken, requireIdParams, async (req, res) => {
+  try {
+    const r = await pool.query('UPDATE flashcards SET is_active=FALSE,updated_at=CURRENT_TIMESTAMP WHERE id=$1 AND owner_id=$2 RETURNING id', [req.params.id, req.user.userId]);
+    if (r.rows.length === 0) return res.status(404).json({ error: 'Card not found' });
+    res.json({ message: 'Card deleted' });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
 });
 
-app.post('/api/auth/reset-password', async (req, res) => {
+// Today's queue for the locked subject: due reviews first, then a batch of new cards
+app.get('/api/flashcards/due', verifyToken, async (req, res) => {
   try {
-    const { token, newPassword } = req.body;
-    if (!token || !newPassword) return res.status(400).json({ error: 'Token and new password required' });
-    if (newPassword.length < 8) return res.status(400).json({ error: 'Password must be 8+ characters' });
+    const userR = await pool.query('SELECT primary_subject_id FROM users WHERE id=$1', [req.user.userId]);
+    const subjectId = userR.rows[0]?.primary_subject_id;
+    if (!subjectId) return res.json({ cards: [], dueCount: 0, newCount: 0 });
+    const tz = await getUserTimezone(req.user.userId);
 
-    const resetR = await pool.query('SELECT * FROM password_resets WHERE token=$1 AND used=FALSE AND expires_at > CURRENT_TIMESTAMP', [token]);
-    if (resetR.rows.length === 0) return res.status(400).json({ error: 'Invalid or expired reset token' });
+    const dueR = await pool.query(`
+      SELECT f.id,f.deck_id,d.name as deck_name,f.front,f.back,fs.due_date,fs.interval_days,fs.ease_factor,fs.repetitions
+      FROM flashcards f
+      JOIN flashcard_decks d ON f.deck_id=d.id
+      JOIN flashcard_schedules fs ON fs.card_id=f.id AND fs.user_id=$1
+      WHERE ${VISIBLE_CARD_CONDITION} AND d.subject_id=$2 AND fs.due_date <= ${todaySql('$3')}
+      ORDER BY fs.due_date, f.id
+    `, [req.user.userId, subjectId, tz]);
 
-    const resetRecord = resetR.rows[0];
-    const hashedPw = await bcrypt.hash(newPassword, 10);
+    // New cards already introduced today use up part of the daily allowance
+    const introducedR = await pool.query(`SELECT COUNT(*)::int as count FROM flashcard_reviews fr WHERE fr.user_id=$1 AND fr.subject_id=$2 AND ${localDateSql('fr.reviewed_at', '$3')} = ${todaySql('$3')} AND NOT EXISTS (SELECT 1 FROM flashcard_reviews p WHERE p.user_id=fr.user_id AND p.card_id=fr.card_id AND p.id < fr.id)`, [req.user.userId, subjectId, tz]);
+    const newLimit = Math.max(0, NEW_CARDS_PER_DAY - introducedR.rows[0].count);
+    const newR = await pool.query(`
+      SELECT f.id,f.deck_id,d.name as deck_name,f.front,f.back
+      FROM flashcards f
+      JOIN flashcard_decks d ON f.deck_id=d.id
+      LEFT JOIN flashcard_schedules fs ON fs.card_id=f.id AND fs.user_id=$1
+      WHERE ${VISIBLE_CARD_CONDITION} AND d.subject_id=$2 AND fs.id IS NULL
+      ORDER BY d.name, f.created_at, f.id
+      LIMIT $3
+    `, [req.user.userId, subjectId, newLimit]);
 
-    await pool.query('UPDATE users SET password=$1 WHERE id=$2', [hashedPw, resetRecord.user_id]);
-    await pool.query('UPDATE password_resets SET used=TRUE WHERE id=$1', [resetRecord.id]);
+    res.json({
+      cards: [...dueR.rows.map(c => ({ ...c, isNew: false })), ...newR.rows.map(c => ({ ...c, isNew: true }))],
+      dueCount: dueR.rows.length,
+      newCount: newR.rows.length
+    });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
 
-    // Get user email for notification
-    const userR = await pool.query('SELECT email FROM users WHERE id=$1', [resetRecord.user_id]);
-    if (userR.rows.length > 0) {
-      await sendEmail(userR.rows[0].email, 'Password Changed - RNPathfinders', `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h1 style="color: #00ff88;">Password Changed Successfully ✅</h1>
-          <p>Your RNPathfinders password has been changed.</p>
-          <p>If you didn't make this change, please contact support immediately.</p>
-        </div>
-      `);
+app.post('/api/flashcards/:id/review', verifyToken, requireIdParams, async (req, res) => {
+  try {
+    const cardId = Number(req.params.id);
+    const grade = Number(req.body.grade);
+    if (!Number.isInteger(grade) || grade < 0 || grade > 5) return res.status(400).json({ error: 'Grade must be 0-5' });
+
+    const cardR = await pool.query(`SELECT f.id,d.subject_id FROM flashcards f JOIN flashcard_decks d ON f.deck_id=d.id WHERE ${VISIBLE_CARD_CONDITION} AND f.id=$2`, [req.user.userId, cardId]);
+    if (cardR.rows.length === 0) return res.status(404).json({ error: 'Card not found' });
+    const card = cardR.rows[0];
+    const tz = await getUserTimezone(req.user.userId);
+
+    const result = await withTransaction(async client => {
+      // The user row lock serialises this user's reviews, so the timing and schedule reads below stay current
+      const userR = await client.query('SELECT primary_subject_id FROM users WHERE id=$1 FOR UPDATE', [req.user.userId]);
+      const scheduleR = await client.query('SELECT * FROM flashcard_schedules WHERE user_id=$1 AND card_id=$2 FOR UPDATE', [req.user.userId, card.id]);
+      const next = scheduleFlashcard(scheduleR.rows[0] || { ease_factor: 2.5, interval_days: 0, repetitions: 0 }, grade);
+
+      // Only reviews of the locked subject count as study time: the time since the previous
+      // review (the first of a sitting earns nothing), within the per-card and daily caps
+      let creditedSeconds = 0;
+      if (card.subject_id === userR.rows[0].primary_subject_id) {
+        const timingR = await client.query(`
+          SELECT EXTRACT(EPOCH FROM LOCALTIMESTAMP - MAX(reviewed_at))::int as since_last,
+                 COALESCE(SUM(duration_seconds) FILTER (WHERE ${localDateSql('reviewed_at', '$2')} = ${todaySql('$2')}), 0)::int as today_seconds
+          FROM flashcard_reviews WHERE user_id=$1
+        `, [req.user.userId, tz]);
+        const { since_last: sinceLast, today_seconds: todaySeconds } = timingR.rows[0];
+        creditedSeconds = Math.max(0, Math.min(sinceLast || 0, MAX_REVIEW_SECONDS, MAX_REVIEW_MINUTES_PER_DAY * 60 - todaySeconds));
+      }
+
+      const r = await client.query(`
+        INSERT INTO flashcard_schedules (user_id,card_id,ease_factor,interval_days,repetitions,due_date,last_reviewed_at)
+        VALUES ($1,$2,$3,$4,$5,${todaySql('$6')} + $4::int,CURRENT_TIMESTAMP)
+        ON CONFLICT (user_id, card_id)
+        DO UPDATE SET ease_factor=EXCLUDED.ease_factor, interval_days=EXCLUDED.interval_days, repetitions=EXCLUDED.repetitions, due_date=EXCLUDED.due_date, last_reviewed_at=EXCLUDED.last_reviewed_at
+        RETURNING *
+      `, [req.user.userId, card.id, next.ease_factor, next.interval_days, next.repetitions, tz]);
+      await client.query('INSERT INTO flashcard_reviews (user_id,card_id,subject_id,grade,duration_seconds,interval_days,ease_factor,reviewed_at) VALUES ($1,$2,$3,$4,$5,$6,$7,LOCALTIMESTAMP)', [req.user.userId, card.id, card.subject_id, grade, creditedSeconds, next.interval_days, next.ease_factor]);
+
+      // Review seconds accumulate until they add up to whole study minutes
+      await client.query(`
+        UPDATE users SET
+          total_study_minutes=total_study_minutes + (flashcard_review_seconds + $1) / 60 - flashcard_review_seconds / 60,
+          flashcard_review_seconds=flashcard_review_seconds + $1,
+          last_activity=CURRENT_TIMESTAMP
+        WHERE id=$2
+      `, [creditedSeconds, req.user.userId]);
+      return { schedule: r.rows[0], creditedSeconds };
+    });
+
+    res.json({ message: 'Review recorded', schedule: result.schedule, creditedSeconds: result.creditedSeconds });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+// =============================================
+// STUDY HISTORY
+// =============================================
+
+const MAX_HISTORY_DAYS = 731;
+
+// from/to are inclusive YYYY-MM-DD dates in the user's zone; the default range is the last year
+function parseHistoryFilters(query, tz) {
+  const to = query.to || localToday(tz);
+  if (!isValidDateString(to) || (query.from && !isValidDateString(query.from))) return { error: 'Dates must be YYYY-MM-DD' };
+  const from = query.from || addDays(to, -364);
+  const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+  if (days < 1) return { error: 'from must not be after to' };
+  if (days > MAX_HISTORY_DAYS) return { error: `Range cannot exceed ${MAX_HISTORY_DAYS} days` };
+  const subjectId = query.subjectId ? parseInt(query.subjectId) : null;
+  if (query.subjectId && isNaN(subjectId)) return { error: 'Invalid subject' };
+  return { filters: { from, to, subjectId, timezone: tz } };
+}
+
+// One row per day in the range, including days with no activity
+async function getDailyHistory(userId, { from, to, subjectId, timezone }) {
+  const r = await pool.query(`
+    WITH days AS (
+      SELECT d::date as day FROM generate_series($2::date, $3::date, INTERVAL '1 day') d
+    ), sessions AS (
+      SELECT ${localDateSql('completed_at', '$5')} as day, SUM(actual_duration) as minutes, COUNT(*) as sessions
+      FROM study_sessions
+      WHERE user_id=$1 AND status='completed' AND ${localDateSql('completed_at', '$5')} BETWEEN $2 AND $3 AND ($4::int IS NULL OR subject_id=$4)
+      GROUP BY 1
+    ), aars AS (
+      SELECT ${localDateSql('created_at', '$5')} as day, COUNT(*) as aars
+      FROM aar_entries
+      WHERE user_id=$1 AND ${localDateSql('created_at', '$5')} BETWEEN $2 AND $3 AND ($4::int IS NULL OR subject_id=$4)
+      GROUP BY 1
+    )
+    SELECT to_char(days.day, 'YYYY-MM-DD') as date,
+           COALESCE(sessions.minutes, 0)::int as minutes,
+           COALESCE(sessions.sessions, 0)::int as sessions,
+           COALESCE(aars.aars, 0)::int as aars
+    FROM days
+    LEFT JOIN sessions ON sessions.day=days.day
+    LEFT JOIN aars ON aars.day=days.day
+    ORDER BY days.day
+  `, [userId, from, to, subjectId, timezone]);
+  return r.rows;
+}
+
+// Weeks start on Monday; months on the 1st
+function periodStart(date, period) {
+  if (period === 'month') return date.slice(0, 8) + '01';
+  const d = new Date(date + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+app.get('/api/history/daily', verifyToken, async (req, res) => {
+  try {
+    const { filters, error } = parseHistoryFilters(req.query, await getUserTimezone(req.user.userId));
+    if (error) return res.status(400).json({ error });
+    const days = await getDailyHistory(req.user.userId, filters);
+    res.json({ ...filters, days, maxMinutes: Math.max(0, ...days.map(d => d.minutes)) });
+  } catch (e) {
+    console.error('Daily history error:', e);
+    res.status(500).json({ error: 'Failed to get history' });
+  }
+});
+
+app.get('/api/history/totals', verifyToken, async (req, res) => {
+  try {
+    const { period = 'week' } = req.query;
+    if (!['week', 'month'].includes(period)) return res.status(400).json({ error: 'Period must be week or month' });
+    const { filters, error } = parseHistoryFilters(req.query, await getUserTimezone(req.user.userId));
+    if (error) return res.status(400).json({ error });
+
+    const totals = new Map();
+    for (const day of await getDailyHistory(req.user.userId, filters)) {
+      const start = periodStart(day.date, period);
+      const t = totals.get(start) || { periodStart: start, minutes: 0, sessions: 0, aars: 0, activeDays: 0 };
+      t.minutes += day.minutes;
+      t.sessions += day.sessions;
+      t.aars += day.aars;
+      if (day.sessions > 0) t.activeDays++;
+      totals.set(start, t);
     }
+    res.json({ ...filters, period, totals: [...totals.values()] });
+  } catch (e) {
+    console.error('History totals error:', e);
+    res.status(500).json({ error: 'Failed to get history' });
+  }
+});
 
-    res.json({ message: 'Password reset successful. You can now login with your new password.' });
+app.get('/api/history/session-types', verifyToken, async (req, res) => {
+  try {
+    const { filters, error } = parseHistoryFilters(req.query, await getUserTimezone(req.user.userId));
+    if (error) return res.status(400).json({ error });
+    const r = await pool.query(`
+      SELECT session_type,
+             COUNT(*)::int as sessions,
+             COALESCE(SUM(actual_duration), 0)::int as minutes,
+             ROUND(AVG(actual_duration), 1)::float as avg_actual_duration,
+             ROUND(AVG(planned_duration), 1)::float as avg_planned_duration
+      FROM study_sessions
+      WHERE user_id=$1 AND status='completed' AND ${localDateSql('completed_at', '$5')} BETWEEN $2 AND $3 AND ($4::int IS NULL OR subject_id=$4)
+      GROUP BY session_type
+      ORDER BY minutes DESC
+    `, [req.user.userId, filters.from, filters.to, filters.subjectId, filters.timezone]);
+    res.json({ ...filters, sessionTypes: r.rows });
   } catch (e) {
-    console.error('Reset password error:', e);
-    res.status(500).json({ error: 'Failed to reset password' });
+    console.error('Session type history error:', e);
+    res.status(500).json({ error: 'Failed to get history' });
+  }
+});
+
+// Actual vs planned duration, plus how sessions ended
+app.get('/api/history/summary', verifyToken, async (req, res) => {
+  try {
+    const { filters, error } = parseHistoryFilters(req.query, await getUserTimezone(req.user.userId));
+    if (error) return res.status(400).json({ error });
+    const r = await pool.query(`
+      SELECT COUNT(*) FILTER (WHERE status='completed')::int as completed_sessions,
+             COUNT(*) FILTER (WHERE status='abandoned')::int as abandoned_sessions,
+             COUNT(*) FILTER (WHERE status='expired')::int as expired_sessions,
+             COALESCE(SUM(actual_duration) FILTER (WHERE status='completed'), 0)::int as total_minutes,
+             ROUND(AVG(actual_duration) FILTER (WHERE status='completed'), 1)::float as avg_actual_duration,
+             ROUND(AVG(planned_duration) FILTER (WHERE status='completed'), 1)::float as avg_planned_duration
+      FROM study_sessions
+      WHERE user_id=$1 AND ${localDateSql('started_at', '$5')} BETWEEN $2 AND $3 AND ($4::int IS NULL OR subject_id=$4)
+    `, [req.user.userId, filters.from, filters.to, filters.subjectId, filters.timezone]);
+    const aarR = await pool.query(`SELECT COUNT(*)::int as aars FROM aar_entries WHERE user_id=$1 AND ${localDateSql('created_at', '$5')} BETWEEN $2 AND $3 AND ($4::int IS NULL OR subject_id=$4)`, [req.user.userId, filters.from, filters.to, filters.subjectId, filters.timezone]);
+    const summary = r.rows[0];
+    res.json({
+      ...filters,
+      summary: {
+        ...summary,
+        aars: aarR.rows[0].aars,
+        actual_vs_planned: summary.avg_planned_duration ? Math.round((summary.avg_actual_duration / summary.avg_planned_duration) * 100) : null
+      }
+    });
+  } catch (e) {
+    console.error('History summary error:', e);
+    res.status(500).json({ error: 'Failed to get history' });
   }
 });
 
 // =============================================
-// USER UNLOCK REQUEST
+// ACCOUNT SETTINGS
 // =============================================
 
-app.post('/api/unlock-request', verifyToken, async (req, res) => {
+function formatSettings(u) {
+  return { timezone: u.timezone || DEFAULT_TIMEZONE, restDaysPerWeek: u.rest_days_per_week || 0, locale: resolveLocale(u.locale) };
+}
+
+app.get('/api/me/settings', verifyToken, async (req, res) => {
   try {
-    const userId = req.user.userId;
-    
-    // Check if user has a locked subject
-    const userR = await pool.query('SELECT * FROM users WHERE id=$1', [userId]);
-    if (userR.rows.length === 0) return res.status(404).json({ error: 'User not found' });
-    
-    const user = userR.rows[0];
-    if (!user.primary_subject_id) return res.status(400).json({ error: 'No subject to unlock' });
+    const r = await pool.query('SELECT * FROM users WHERE id=$1', [req.user.userId]);
+    if (r.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+    res.json({ settings: formatSettings(r.rows[0]) });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+app.patch('/api/me/settings', verifyToken, async (req, res) => {
+  try {
+    const { timezone, restDaysPerWeek, locale } = req.body;
+    if (timezone !== undefined && !isValidTimezone(timezone)) return res.status(400).json({ error: 'Unknown timezone' });
+    if (locale !== undefined && !SUPPORTED_LOCALES.includes(locale)) return res.status(400).json({ error: `Locale must be one of: ${SUPPORTED_LOCALES.join(', ')}` });
+    if (restDaysPerWeek !== undefined && (!Number.isInteger(restDaysPerWeek) || restDaysPerWeek < 0 || restDaysPerWeek > MAX_REST_DAYS_PER_WEEK)) {
+      return res.status(400).json({ error: `Rest days must be 0-${MAX_REST_DAYS_PER_WEEK} per week` });
+    }
+    const r = await pool.query(
+      'UPDATE users SET timezone=COALESCE($1,timezone),rest_days_per_week=COALESCE($2,rest_days_per_week),locale=COALESCE($3,locale) WHERE id=$4 RETURNING *',
+      [timezone || null, restDaysPerWeek === undefined ? null : restDaysPerWeek, locale || null, req.user.userId]
+    );
+    if (r.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+    res.json({ message: 'Settings updated', settings: formatSettings(r.rows[0]) });
+  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+});
+
+// =============================================
+// ADMIN: DEPARTMENTS & SUBJECTS
+// =============================================
 
-    // Check unlock progress
-    const daysPassed = user.subject_locked_at ? Math.floor((Date.now() - new Date(user.subject_locked_at)) / (1000 * 60 * 60 * 24)) : 0;
-    const sessions = user.session_count || 0;
-    const aars = user.aar_count || 0;
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
 
-    // Check if requirements met
-    const requirementsMet = daysPassed >= 7 && sessions >= 5 && aars >= 3;
+// Department and subject codes are stored trimmed and upper-cased
+function parseCode(value) {
+  if (value === undefined || value === null || value === '') return { code: undefined };
+  const code = typeof value === 'string' || typeof value === 'number' ? String(value).trim().toUpperCase() : '';
+  if (!code) return { error: 'Code must be non-empty text' };
+  return { code };
+}
 
-    if (requirementsMet) {
-      // Auto-unlock if requirements met
-      await pool.query('UPDATE users SET primary_subject_id=NULL, subject_locked_at=NULL, lock_expires_at=NULL, onboarding_complete=FALSE, unlock_requested=FALSE WHERE id=$1', [userId]);
-      return res.json({ message: 'Congratulations! You have met all requirements. Your subject has been unlocked!', unlocked: true });
-    }
+async function reorder(db, table, ids, scopeColumn, scopeId) {
+  if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => !Number.isInteger(id))) return 'ids must be a list of ids';
+  const scope = scopeColumn ? ` AND ${scopeColumn}=$2` : '';
+  const r = await db.query(`SELECT id FROM ${table} WHERE id=ANY($1)${scope}`, scopeColumn ? [ids, scopeId] : [ids]);
+  if (r.rows.length !== new Set(ids).size) return 'Unknown id in list';
+  for (let i = 0; i < ids.length; i++) await db.query(`UPDATE ${table} SET sort_order=$1 WHERE id=$2`, [i + 1, ids[i]]);
+  return null;
+}
 
-    // Request unlock from admin
-    await pool.query('UPDATE users SET unlock_requested=TRUE, unlock_requested_at=CURRENT_TIMESTAMP WHERE id=$1', [userId]);
+app.get('/api/admin/departments', verifyToken, requirePermission('catalog.manage'), async (req, res) => {
+  try {
+    const r = await pool.query('SELECT d.*,COUNT(s.id)::int as subject_count FROM departments d LEFT JOIN subjects s ON s.department_id=d.id GROUP BY d.id ORDER BY d.sort_order,d.name');
+    res.json({ departments: r.rows });
+  } catch (e) {
+    console.error('Get departments error:', e);
+    res.status(500).json({ error: 'Failed to get departments' });
+  }
+});
 
-    // Notify admins
-    const adminsR = await pool.query('SELECT email FROM users WHERE is_admin=TRUE');
-    for (const admin of adminsR.rows) {
-      await sendEmail(admin.email, 'Unlock Request - RNPathfinders', `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h1 style="color: #ffbe0b;">Unlock Request 🔓</h1>
-          <p>User <strong>${user.email}</strong> has requested to unlock their subject.</p>
-          <p>Progress:</p>
-          <ul>
-            <li>Days: ${daysPassed}/7</li>
-            <li>Sessions: ${sessions}/5</li>
-            <li>AARs: ${aars}/3</li>
-          </ul>
-          <p>Login to the admin panel to approve or deny this request.</p>
-        </div>
-      `);
+app.post('/api/admin/departments', verifyToken, requirePermission('catalog.manage'), async (req, res) => {
+  try {
+    const { name, icon } = req.body;
+    if (!name || !req.body.code) return res.status(400).json({ error: 'Name and code required' });
+    const { code, error } = parseCode(req.body.code);
+    if (error) return res.status(400).json({ error });
+    const orderR = await pool.query('SELECT COALESCE(MAX(sort_order),0)+1 as next FROM departments');
+    const r = await withTransaction(async client => {
+      const inserted = await client.query('INSERT INTO departments (name,code,icon,sort_order) VALUES ($1,$2,COALESCE($3,$4),$5) RETURNING *', [name, code, icon || null, '📚', orderR.rows[0].next]);
+      await recordAudit(req, 'department.create', { targetType: 'department', targetId: inserted.rows[0].id, after: inserted.rows[0] }, client);
+      return inserted;
+    });
+    res.json({ message: 'Department created', department: r.rows[0] });
+  } catch (e) {
+    if (e.code === UNIQUE_VIOLATION) return res.status(400).json({ error: 'Department code already exists' });
+    console.error('Create department error:', e);
+    res.status(500).json({ error: 'Failed to create department' });
+  }
+});
+
+app.patch('/api/admin/departments/:id', verifyToken, requirePermission('catalog.manage'), requireIdParams, async (req, res) => {
+  try {
+    const { name, icon, isActive } = req.body;
+    const { code, error } = parseCode(req.body.code);
+    if (error) return res.status(400).json({ error });
+    const beforeR = await pool.query('SELECT * FROM departments WHERE id=$1', [req.params.id]);
+    const r = await withTransaction(async client => {
+      const updated = await client.query(
+        'UPDATE departments SET name=COALESCE($1,name),code=COALESCE($2,code),icon=COALESCE($3,icon),is_active=COALESCE($4,is_active) WHERE id=$5 RETURNING *',
+        [name || null, code || null, icon || null, isActive === undefined ? null : !!isActive, req.params.id]
+      );
+      if (updated.rows.length > 0) await recordAudit(req, 'department.update', { targetType: 'department', targetId: req.params.id, before: beforeR.rows[0], after: updated.rows[0] }, client);
+      return updated;
+    });
+    if (r.rows.length === 0) return res.status(404).json({ error: 'Department not found' });
+    res.json({ message: 'Department updated', department: r.rows[0] });
+  } catch (e) {
+    if (e.code === UNIQUE_VIOLATION) return res.status(400).json({ error: 'Department code already exists' });
+    console.error('Update department error:', e);
+    res.status(500).json({ error: 'Failed to update department' });
+  }
+});
+
+// Departments are deactivated, never deleted: subjects, users and history point at them
+app.delete('/api/admin/departments/:id', verifyToken, requirePermission('catalog.manage'), requireIdParams, async (req, res) => {
+  try {
+    const r = await withTransaction(async client => {
+      const updated = await client.query('UPDATE departments SET is_active=FALSE WHERE id=$1 RETURNING id, is_active', [req.params.id]);
+      if (updated.rows.length > 0) await recordAudit(req, 'department.deactivate', { targetType: 'department', targetId: req.params.id, after: updated.rows[0] }, client);
+      return updated;
+    });
+    if (r.rows.length === 0) return res.status(404).json({ error: 'Department not found' });
+    res.json({ message: 'Department deactivated' });
+  } catch (e) {
+    console.error('Deactivate department error:', e);
+    res.status(500).json({ error: 'Failed to deactivate department' });
+  }
+});
+
+app.post('/api/admin/departments/reorder', verifyToken, requirePermission('catalog.manage'), async (req, res) => {
+  try {
+    const error = await withTransaction(async client => {
+      const invalid = await reorder(client, 'departments', req.body.ids);
+      if (!invalid) await recordAudit(req, 'department.reorder', { targetType: 'department', after: req.body.ids }, client);
+      return invalid;
+    });
+    if (error) return res.status(400).json({ error });
+    res.json({ message: 'Departments reordered' });
+  } catch (e) {
+    console.error('Reorder departments error:', e);
+    res.status(500).json({ error: 'Failed to reorder departments' });
+  }
+});
+
+app.get('/api/admin/subjects', verifyToken, requirePermission('catalog.manage'), async (req, res) => {
+  try {
+    const { departmentId } = req.query;
+    const r = await pool.query(`
+      SELECT s.*,d.name as department_name,d.code as department_code
+      FROM subjects s JOIN departments d ON s.department_id=d.id
+      WHERE ($1::int IS NULL OR s.department_id=$1)
+      ORDER BY d.sort_order,d.name,s.sort_order,s.code
+    `, [departmentId || null]);
+    res.json({ subjects: r.rows });
+  } catch (e) {
+    console.error('Get subjects error:', e);
+    res.status(500).json({ error: 'Failed to get subjects' });
+  }
+});
+
+function parseEstimatedHours(value) {
+  if (value === undefined) return { hours: undefined };
+  const hours = Number(value);
+  if (!Number.isInteger(hours) || hours < 1 || hours > 1000) return { error: 'Estimated hours must be a whole number from 1 to 1000' };
+  return { hours };
+}
+
+app.post('/api/admin/subjects', verifyToken, requirePermission('catalog.manage'), async (req, res) => {
+  try {
+    const { departmentId, name } = req.body;
+    if (!departmentId || !name || !req.body.code) return res.status(400).json({ error: 'Department, name and code required' });
+    const { code, error: codeError } = parseCode(req.body.code);
+    if (codeError) return res.status(400).json({ error: codeError });
+    const { hours, error } = parseEstimatedHours(req.body.estimatedHours);
+    if (error) return res.status(400).json({ error });
+    if (!Number.isInteger(Number(departmentId))) return res.status(400).json({ error: 'departmentId must be an id' });
+
+    const deptR = await pool.query('SELECT id FROM departments WHERE id=$1', [departmentId]);
+    if (deptR.rows.length === 0) return res.status(400).json({ error: 'Department not found' });
+    const orderR = await pool.query('SELECT COALESCE(MAX(sort_order),0)+1 as next FROM subjects WHERE department_id=$1', [departmentId]);
+    const r = await withTransaction(async client => {
+      const inserted = await client.query('INSERT INTO subjects (department_id,name,code,estimated_hours,sort_order) VALUES ($1,$2,$3,COALESCE($4,20),$5) RETURNING *', [departmentId, name, code, hours || null, orderR.rows[0].next]);
+      await recordAudit(req, 'subject.create', { targetType: 'subject', targetId: inserted.rows[0].id, after: inserted.rows[0] }, client);
+      return inserted;
+    });
+    res.json({ message: 'Subject created', subject: r.rows[0] });
+  } catch (e) {
+    if (e.code === UNIQUE_VIOLATION) return res.status(400).json({ error: 'Subject code already exists in this department' });
+    console.error('Create subject error:', e);
+    res.status(500).json({ error: 'Failed to create subject' });
+  }
+});
+
+app.patch('/api/admin/subjects/:id', verifyToken, requirePermission('catalog.manage'), requireIdParams, async (req, res) => {
+  try {
+    const { departmentId, name, isActive } = req.body;
+    const { code, error: codeError } = parseCode(req.body.code);
+    if (codeError) return res.status(400).json({ error: codeError });
+    const { hours, error } = parseEstimatedHours(req.body.estimatedHours);
+    if (error) return res.status(400).json({ error });
+    if (departmentId) {
+      if (!Number.isInteger(Number(departmentId))) return res.status(400).json({ error: 'departmentId must be an id' });
+      const deptR = await pool.query('SELECT id FROM departments WHERE id=$1', [departmentId]);
+      if (deptR.rows.length === 0) return res.status(400).json({ error: 'Department not found' });
     }
+    const beforeR = await pool.query('SELECT * FROM subjects WHERE id=$1', [req.params.id]);
+    const r = await withTransaction(async client => {
+      const updated = await client.query(
+        'UPDATE subjects SET department_id=COALESCE($1,department_id),name=COALESCE($2,name),code=COALESCE($3,code),estimated_hours=COALESCE($4,estimated_hours),is_active=COALESCE($5,is_active) WHERE id=$6 RETURNING *',
+        [departmentId || null, name || null, code || null, hours || null, isActive === undefined ? null : !!isActive, req.params.id]
+      );
+      if (updated.rows.length > 0) await recordAudit(req, 'subject.update', { targetType: 'subject', targetId: req.params.id, before: beforeR.rows[0], after: updated.rows[0] }, client);
+      return updated;
+    });
+    if (r.rows.length === 0) return res.status(404).json({ error: 'Subject not found' });
+    res.json({ message: 'Subject updated', subject: r.rows[0] });
+  } catch (e) {
+    if (e.code === UNIQUE_VIOLATION) return res.status(400).json({ error: 'Subject code already exists in this department' });
+    console.error('Update subject error:', e);
+    res.status(500).json({ error: 'Failed to update subject' });
+  }
+});
 
-    res.json({ 
-      message: 'Unlock request submitted. An admin will review your request.',
-      progress: { days: daysPassed, sessions, aars },
-      requirementsMet: false
+// Students may have the subject locked, so it is only hidden from new selections
+app.delete('/api/admin/subjects/:id', verifyToken, requirePermission('catalog.manage'), requireIdParams, async (req, res) => {
+  try {
+    const r = await withTransaction(async client => {
+      const updated = await client.query('UPDATE subjects SET is_active=FALSE WHERE id=$1 RETURNING id, is_active', [req.params.id]);
+      if (updated.rows.length > 0) await recordAudit(req, 'subject.deactivate', { targetType: 'subject', targetId: req.params.id, after: updated.rows[0] }, client);
+      return updated;
     });
+    if (r.rows.length === 0) return res.status(404).json({ error: 'Subject not found' });
+    res.json({ message: 'Subject deactivated' });
   } catch (e) {
-    console.error('Unlock request error:', e);
-    res.status(500).json({ error: 'Failed to submit unlock request' });
+    console.error('Deactivate subject error:', e);
+    res.status(500).json({ error: 'Failed to deactivate subject' });
+  }
+});
+
+app.post('/api/admin/departments/:id/subjects/reorder', verifyToken, requirePermission('catalog.manage'), requireIdParams, async (req, res) => {
+  try {
+    const error = await withTransaction(async client => {
+      const invalid = await reorder(client, 'subjects', req.body.ids, 'department_id', req.params.id);
+      if (!invalid) await recordAudit(req, 'subject.reorder', { targetType: 'department', targetId: req.params.id, after: req.body.ids }, client);
+      return invalid;
+    });
+    if (error) return res.status(400).json({ error });
+    res.json({ message: 'Subjects reordered' });
+  } catch (e) {
+    console.error('Reorder subjects error:', e);
+    res.status(500).json({ error: 'Failed to reorder subjects' });
   }
 });
 
 // =============================================
-// ADMIN: SEND ACCESS CODE VIA EMAIL
+// ADMIN: CATALOG IMPORT/EXPORT
 // =============================================
 
-app.post('/api/admin/codes/send', verifyToken, async (req, res) => {
+// A catalog document nests subjects in departments and resources in subjects.
+// Natural keys: department code, subject code within a department, resource URL within a subject.
+// CSV flattens the same document into one row per record, tagged by record_type.
+const CATALOG_CSV_COLUMNS = ['record_type', 'department_code', 'subject_code', 'name', 'icon', 'estimated_hours', 'title', 'url', 'type', 'duration_minutes', 'sort_order', 'is_active'];
+
+// Document field -> column, for each record type
+const CATALOG_FIELDS = {
+  department: { name: 'name', icon: 'icon', sortOrder: 'sort_order', isActive: 'is_active' },
+  subject: { name: 'name', estimatedHours: 'estimated_hours', sortOrder: 'sort_order', isActive: 'is_active' },
+  resource: { title: 'title', type: 'type', durationMinutes: 'duration_minutes', sortOrder: 'sort_order', isActive: 'is_active' }
+};
+
+async function loadCatalog() {
+  const deptR = await pool.query('SELECT * FROM departments ORDER BY sort_order,name');
+  const subjR = await pool.query('SELECT * FROM subjects ORDER BY sort_order,code');
+  const resR = await pool.query('SELECT r.*,rs.subject_id as link_subject_id,rs.sort_order as link_sort_order FROM resource_subjects rs JOIN resources r ON rs.resource_id=r.id ORDER BY rs.sort_order,r.title');
+  return {
+    departments: deptR.rows.map(d => ({
+      id: d.id, code: d.code, name: d.name, icon: d.icon, sortOrder: d.sort_order, isActive: d.is_active,
+      subjects: subjR.rows.filter(s => s.department_id === d.id).map(s => ({
+        id: s.id, code: s.code, name: s.name, estimatedHours: s.estimated_hours, sortOrder: s.sort_order, isActive: s.is_active,
+        resources: resR.rows.filter(r => r.link_subject_id === s.id).map(r => ({
+          id: r.id, title: r.title, url: r.url, type: r.type, durationMinutes: r.duration_minutes, sortOrder: r.link_sort_order, isActive: r.is_active
+        }))
+      }))
+    }))
+  };
+}
+
+function stripIds(catalog) {
+  return {
+    departments: catalog.departments.map(({ id, subjects, ...d }) => ({
+      ...d,
+      subjects: subjects.map(({ id, resources, ...s }) => ({ ...s, resources: resources.map(({ id, ...r }) => r) }))
+    }))
+  };
+}
+
+function catalogToCsvRows(catalog) {
+  const rows = [];
+  for (const d of catalog.departments) {
+    rows.push({ record_type: 'department', department_code: d.code, name: d.name, icon: d.icon, sort_order: d.sortOrder, is_active: d.isActive });
+    for (const s of d.subjects) {
+      rows.push({ record_type: 'subject', department_code: d.code, subject_code: s.code, name: s.name, estimated_hours: s.estimatedHours, sort_order: s.sortOrder, is_active: s.isActive });
+      for (const r of s.resources) {
+        rows.push({ record_type: 'resource', department_code: d.code, subject_code: s.code, title: r.title, url: r.url, type: r.type, duration_minutes: r.durationMinutes, sort_order: r.sortOrder, is_active: r.isActive });
+      }
+    }
+  }
+  return rows;
+}
+
+// Empty CSV cells mean "leave as is". A second row for the same department or subject
+// becomes a second record, which planCatalogImport reports as listed more than once.
+function catalogFromCsvRows(rows) {
+  const value = v => (v === undefined || v === '' ? undefined : v);
+  const int = v => (value(v) === undefined ? undefined : Number(v));
+  const bool = v => (value(v) === undefined ? undefined : ['true', '1', 'yes'].includes(String(v).toLowerCase()));
+  const departments = [];
+  const dept = code => departments.find(d => d.code === code) || departments[departments.push({ code, subjects: [] }) - 1];
+  const subject = (deptCode, code) => {
+    const d = dept(deptCode);
+    return d.subjects.find(x => x.code === code) || d.subjects[d.subjects.push({ code, resources: [] }) - 1];
+  };
+
+  // Codes are matched case-insensitively, as the import stores them upper-cased
+  const described = new Set();
+  rows.forEach((row, i) => {
+    const type = (row.record_type || '').toLowerCase();
+    const deptCode = String(row.department_code || '').toUpperCase();
+    const subjectCode = String(row.subject_code || '').toUpperCase();
+    const repeat = described.has(`${type} ${deptCode}/${subjectCode}`);
+    described.add(`${type} ${deptCode}/${subjectCode}`);
+
+    if (type === 'department') {
+      const fields = { name: value(row.name), icon: value(row.icon), sortOrder: int(row.sort_order), isActive: bool(row.is_active) };
+      if (repeat) departments.push({ code: deptCode, subjects: [], ...fields });
+      else Object.assign(dept(deptCode), fields);
+    } else if (type === 'subject') {
+      const fields = { name: value(row.name), estimatedHours: int(row.estimated_hours), sortOrder: int(row.sort_order), isActive: bool(row.is_active) };
+      if (repeat) dept(deptCode).subjects.push({ code: subjectCode, resources: [], ...fields });
+      else Object.assign(subject(deptCode, subjectCode), fields);
+    } else if (type === 'resource') {
+      subject(deptCode, subjectCode).resources.push({ title: value(row.title), url: value(row.url), type: value(row.type), durationMinutes: int(row.duration_minutes), sortOrder: int(row.sort_order), isActive: bool(row.is_active) });
+    } else {
+      throw new Error(`Row ${i + 2}: record_type must be department, subject or resource`);
+    }
+  });
+  return { departments };
+}
+
+function validateCatalogRecord(kind, record, label) {
+  const num = (v, min) => v === undefined || (Number.isInteger(v) && v >= min);
+  if (kind === 'department' && (!record.code || (record.isNew && !record.name))) return `${label}: code and name required`;
+  if (kind === 'subject' && (!record.code || (record.isNew && !record.name))) return `${label}: code and name required`;
+  if (kind === 'subject' && !num(record.estimatedHours, 1)) return `${label}: estimatedHours must be a positive whole number`;
+  if (kind === 'resource' && (!record.url || (record.isNew && (!record.title || !record.type)))) return `${label}: title, url and type required`;
+  if (kind === 'resource' && !num(record.durationMinutes, 0)) return `${label}: durationMinutes must be a whole number`;
+  if (kind === 'resource' && !isValidUrl(record.url)) return `${label}: url must be a valid http(s) link`;
+  if (kind === 'resource' && record.type !== undefined && !RESOURCE_TYPES.includes(record.type)) return `${label}: type must be one of ${RESOURCE_TYPES.join(', ')}`;
+  if (!num(record.sortOrder, 0)) return `${label}: sortOrder must be a whole number`;
+  return null;
+}
+
+// Compare a document with the database. Records missing from the document are left alone.
+async function planCatalogImport(doc) {
+  if (!doc || !Array.isArray(doc.departments)) return { errors: ['Document must have a departments list'] };
+  const current = await loadCatalog();
+  // Resources are shared by URL, so a URL already in use is linked to the subject rather than created
+  const sharedR = await pool.query('SELECT DISTINCT ON (url) id,url,title,type,duration_minutes,is_active FROM resources ORDER BY url,id');
+  const shared = new Map(sharedR.rows.map(r => [r.url, { id: r.id, title: r.title, type: r.type, durationMinutes: r.duration_minutes, sortOrder: null, isActive: r.is_active }]));
+  const plan = { departments: [], subjects: [], resources: [] };
+  const errors = [];
+
+  const diff = (kind, existing, incoming) => {
+    const fields = {}, changes = {};
+    for (const [key, column] of Object.entries(CATALOG_FIELDS[kind])) {
+      if (incoming[key] === undefined) continue;
+      if (!existing || existing[key] !== incoming[key]) {
+        fields[column] = incoming[key];
+        changes[key] = { from: existing ? existing[key] : null, to: incoming[key] };
+      }
+    }
+    return { fields, changes };
+  };
+  // extra holds the natural-key columns for creates; parent locates the record's department/subject.
+  // A link attaches an existing resource to the subject and updates the fields that differ.
+  const seen = new Set();
+  const record = (kind, key, existing, incoming, extra, parent, link = false) => {
+    const label = `${kind} ${key}`;
+    if (seen.has(label)) return errors.push(`${label}: listed more than once`);
+    seen.add(label);
+    const error = validateCatalogRecord(kind, { ...incoming, isNew: !existing }, label);
+    if (error) return errors.push(error);
+    const { fields, changes } = diff(kind, existing, incoming);
+    if (!existing) plan[`${kind}s`].push({ action: 'create', key, fields: { ...fields, ...extra }, changes, ...parent });
+    else if (link) plan[`${kind}s`].push({ action: 'link', key, id: existing.id, fields, changes, ...parent });
+    else if (Object.keys(changes).length > 0) plan[`${kind}s`].push({ action: 'update', key, id: existing.id, fields, changes, ...parent });
+  };
+
+  for (const d of doc.departments) {
+    const code = String(d.code || '').toUpperCase();
+    const existingDept = current.departments.find(x => x.code === code);
+    record('department', code, existingDept, { ...d, code }, { code });
+    for (const s of d.subjects || []) {
+      const subjectCode = String(s.code || '').toUpperCase();
+      const existingSubj = existingDept && existingDept.subjects.find(x => x.code === subjectCode);
+      record('subject', `${code}/${subjectCode}`, existingSubj, { ...s, code: subjectCode }, { code: subjectCode }, { departmentCode: code });
+      for (const r of s.resources || []) {
+        const existingRes = existingSubj && existingSubj.resources.find(x => x.url === r.url);
+        const sharedRes = !existingRes && shared.get(r.url);
+        record('resource', `${code}/${subjectCode}/${r.url}`, existingRes || sharedRes, r, { url: r.url }, { departmentCode: code, subjectCode, url: r.url }, !!sharedRes);
+        // A URL created earlier in this document is linked the next time; sort order stays per subject
+        if (!existingRes && !sharedRes) shared.set(r.url, { ...r, sortOrder: null });
+      }
+    }
+  }
+  return { plan, errors };
+}
+
+async function applyCatalogPlan(db, plan) {
+  const insert = async (table, fields) => {
+    const columns = Object.keys(fields);
+    const r = await db.query(`INSERT INTO ${table} (${columns.join(',')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(',')}) RETURNING id`, Object.values(fields));
+    return r.rows[0].id;
+  };
+  const update = async (table, id, fields) => {
+    const columns = Object.keys(fields);
+    if (columns.length === 0) return;
+    await db.query(`UPDATE ${table} SET ${columns.map((c, i) => `${c}=$${i + 1}`).join(',')} WHERE id=$${columns.length + 1}`, [...Object.values(fields), id]);
+  };
+  const deptId = async code => (await db.query('SELECT id FROM departments WHERE code=$1', [code])).rows[0].id;
+  const subjectId = async (deptCode, code) => (await db.query('SELECT s.id FROM subjects s JOIN departments d ON s.department_id=d.id WHERE d.code=$1 AND s.code=$2', [deptCode, code])).rows[0].id;
+
+  for (const item of plan.departments) {
+    if (item.action === 'create') await insert('departments', item.fields);
+    else await update('departments', item.id, item.fields);
+  }
+  for (const item of plan.subjects) {
+    if (item.action === 'create') await insert('subjects', { ...item.fields, department_id: await deptId(item.departmentCode) });
+    else await update('subjects', item.id, item.fields);
+  }
+  for (const item of plan.resources) {
+    // sort_order belongs to the subject link, everything else to the resource
+    const { sort_order: sortOrder, ...fields } = item.fields;
+    const subject = await subjectId(item.departmentCode, item.subjectCode);
+    let resourceId = item.id;
+    if (item.action === 'create') {
+      resourceId = await insert('resources', { ...fields, subject_id: subject });
+    } else {
+      // A link to a resource this import creates has no id until now
+      if (!resourceId) resourceId = (await db.query('SELECT id FROM resources WHERE url=$1 ORDER BY id LIMIT 1', [item.url])).rows[0].id;
+      await update('resources', resourceId, fields);
+    }
+    await linkResource(db, resourceId, subject, sortOrder);
+  }
+}
+
+app.get('/api/admin/catalog/export', verifyToken, requirePermission('catalog.manage'), async (req, res) => {
+  try {
+    const catalog = stripIds(await loadCatalog());
+    const date = new Date().toISOString().slice(0, 10);
+    if (req.query.format === 'csv') return sendCsv(res, `catalog-${date}.csv`, catalogToCsvRows(catalog), CATALOG_CSV_COLUMNS);
+    res.setHeader('Content-Disposition', `attachment; filename="catalog-${date}.json"`);
+    res.json(catalog);
+  } catch (e) {
+    console.error('Catalog export error:', e);
+    res.status(500).json({ error: 'Failed to export catalog' });
+  }
+});
+
+// Dry run by default; pass ?dryRun=false to apply. Accepts the JSON document or the CSV export format.
+app.post('/api/admin/catalog/import', express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), verifyToken, requirePermission('catalog.manage'), async (req, res) => {
+  try {
+    let doc;
+    try {
+      doc = typeof req.body === 'string' ? catalogFromCsvRows(parseCsv(req.body)) : req.body;
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const { plan, errors } = await planCatalogImport(doc);
+    if (errors.length > 0) return res.status(400).json({ error: 'Catalog has errors', errors });
+
+    const summary = Object.fromEntries(Object.entries(plan).map(([kind, items]) => [kind, {
+      create: items.filter(i => i.action === 'create').length,
+      update: items.filter(i => i.action === 'update').length,
+      link: items.filter(i => i.action === 'link').length
+    }]));
+    const changes = Object.fromEntries(Object.entries(plan).map(([kind, items]) => [kind, items.map(({ action, key, changes }) => ({ action, key, changes }))]));
+
+    const dryRun = req.query.dryRun !== 'false';
+    if (!dryRun) {
+      await withTransaction(async client => {
+        await applyCatalogPlan(client, plan);
+        await recordAudit(req, 'catalog.import', { targetType: 'catalog', after: { summary, changes } }, client);
+      });
+    }
+    res.json({ message: dryRun ? 'Dry run - nothing was changed' : 'Catalog imported', dryRun, summary, changes });
+  } catch (e) {
+    console.error('Catalog import error:', e);
+    res.status(500).json({ error: 'Failed to import catalog' });
+  }
+});
+
+// ============================================
+// COHORTS & INSTRUCTORS
+// ============================================
+// A cohort is a class group: admins with cohorts.manage set it up, and its
+// instructors get read-only views of their own members under /api/instructor.
+// Instructors need no role; being listed in cohort_instructors is enough.
+
+async function activeCohortExists(cohortId) {
+  const r = await pool.query('SELECT id FROM cohorts WHERE id=$1 AND is_active=TRUE', [cohortId]);
+  return r.rows.length > 0;
+}
+
+// Resolve a list of user ids and/or emails to user ids; returns { ids } or { error }
+async function resolveUserIds(body) {
+  if (body.userIds !== undefined && !Array.isArray(body.userIds)) return { error: 'userIds must be a list' };
+  if (body.emails !== undefined && !Array.isArray(body.emails)) return { error: 'emails must be a list' };
+  if ((body.userIds || []).some(id => !Number.isInteger(id))) return { error: 'userIds must be whole numbers' };
+  const userIds = body.userIds || [];
+  const emails = (body.emails || []).map(e => String(e).toLowerCase());
+  if (userIds.length === 0 && emails.length === 0) return { error: 'userIds or emails required' };
+  const r = await pool.query('SELECT id, email FROM users WHERE id = ANY($1::int[]) OR LOWER(email) = ANY($2::text[])', [userIds, emails]);
+  const missing = [
+    ...userIds.filter(id => !r.rows.some(u => u.id === id)),
+    ...emails.filter(email => !r.rows.some(u => u.email.toLowerCase() === email))
+  ];
+  if (missing.length > 0) return { error: `Users not found: ${missing.join(', ')}` };
+  return { ids: r.rows.map(u => u.id) };
+}
+
+const COHORT_SUMMARY_SQL = `
+  SELECT c.*, d.name as department_name, d.code as department_code,
+         (SELECT COUNT(*)::int FROM cohort_members cm WHERE cm.cohort_id=c.id) as member_count,
+         ARRAY(SELECT u.email FROM cohort_instructors ci JOIN users u ON ci.user_id=u.id WHERE ci.cohort_id=c.id ORDER BY u.email) as instructors
+  FROM cohorts c LEFT JOIN departments d ON c.department_id=d.id
+`;
+
+app.get('/api/admin/cohorts', verifyToken, requirePermission('cohorts.manage'), async (req, res) => {
+  try {
+    const r = await pool.query(`${COHORT_SUMMARY_SQL} ORDER BY c.is_active DESC, c.name`);
+    res.json({ cohorts: r.rows });
+  } catch (e) {
+    console.error('Get cohorts error:', e);
+    res.status(500).json({ error: 'Failed to get cohorts' });
+  }
+});
+
+app.post('/api/admin/cohorts', verifyToken, requirePermission('cohorts.manage'), async (req, res) => {
+  try {
+    const { name, departmentId } = req.body;
+    if (!name || !String(name).trim()) return res.status(400).json({ error: 'Name required' });
+    if (departmentId) {
+      if (!Number.isInteger(Number(departmentId))) return res.status(400).json({ error: 'departmentId must be an id' });
+      const deptR = await pool.query('SELECT id FROM departments WHERE id=$1', [departmentId]);
+      if (deptR.rows.length === 0) return res.status(400).json({ error: 'Department not found' });
+    }
+    const r = await withTransaction(async client => {
+      const inserted = await client.query('INSERT INTO cohorts (name, department_id) VALUES ($1,$2) RETURNING *', [String(name).trim(), departmentId || null]);
+      await recordAudit(req, 'cohort.create', { targetType: 'cohort', targetId: inserted.rows[0].id, after: inserted.rows[0] }, client);
+      return inserted;
+    });
+    res.json({ message: 'Cohort created', cohort: r.rows[0] });
+  } catch (e) {
+    console.error('Create cohort error:', e);
+    res.status(500).json({ error: 'Failed to create cohort' });
+  }
+});
+
+app.patch('/api/admin/cohorts/:id', verifyToken, requirePermission('cohorts.manage'), requireIdParams, async (req, res) => {
+  try {
+    const { name, departmentId, isActive } = req.body;
+    if (departmentId) {
+      if (!Number.isInteger(Number(departmentId))) return res.status(400).json({ error: 'departmentId must be an id' });
+      const deptR = await pool.query('SELECT id FROM departments WHERE id=$1', [departmentId]);
+      if (deptR.rows.length === 0) return res.status(400).json({ error: 'Department not found' });
+    }
+    const beforeR = await pool.query('SELECT * FROM cohorts WHERE id=$1', [req.params.id]);
+    const r = await withTransaction(async client => {
+      const updated = await client.query(
+        'UPDATE cohorts SET name=COALESCE($1,name), department_id=CASE WHEN $2::boolean THEN $3 ELSE department_id END, is_active=COALESCE($4,is_active) WHERE id=$5 RETURNING *',
+        [name ? String(name).trim() : null, departmentId !== undefined, departmentId || null, isActive === undefined ? null : !!isActive, req.params.id]
+      );
+      if (updated.rows.length > 0) await recordAudit(req, 'cohort.update', { targetType: 'cohort', targetId: req.params.id, before: beforeR.rows[0], after: updated.rows[0] }, client);
+      return updated;
+    });
+    if (r.rows.length === 0) return res.status(404).json({ error: 'Cohort not found' });
+    res.json({ message: 'Cohort updated', cohort: r.rows[0] });
+  } catch (e) {
+    console.error('Update cohort error:', e);
+    res.status(500).json({ error: 'Failed to update cohort' });
+  }
+});
+
+// Deleting a cohort drops its memberships and detaches its codes; the students themselves stay
+app.delete('/api/admin/cohorts/:id', verifyToken, requirePermission('cohorts.manage'), requireIdParams, async (req, res) => {
   try {
-    if (!req.user.isAdmin) return res.status(403).json({ error: 'Admin required' });
+    const r = await withTransaction(async client => {
+      const deleted = await client.query('DELETE FROM cohorts WHERE id=$1 RETURNING *', [req.params.id]);
+      if (deleted.rows.length > 0) await recordAudit(req, 'cohort.delete', { targetType: 'cohort', targetId: req.params.id, before: deleted.rows[0] }, client);
+      return deleted;
+    });
+    if (r.rows.length === 0) return res.status(404).json({ error: 'Cohort not found' });
+    res.json({ message: 'Cohort deleted' });
+  } catch (e) {
+    console.error('Delete cohort error:', e);
+    res.status(500).json({ error: 'Failed to delete cohort' });
+  }
+});
 
-    const { email, count = 1, prefix = 'OP' } = req.body;
-    if (!email) return res.status(400).json({ error: 'Email required' });
+// Instructors and members are managed the same way: POST { userIds, emails } adds, DELETE removes one
+for (const [kind, table] of [['instructors', 'cohort_instructors'], ['members', 'cohort_members']]) {
+  app.get(`/api/admin/cohorts/:id/${kind}`, verifyToken, requirePermission('cohorts.manage'), requireIdParams, async (req, res) => {
+    try {
+      const r = await pool.query(`SELECT u.id, u.email, t.* FROM ${table} t JOIN users u ON t.user_id=u.id WHERE t.cohort_id=$1 ORDER BY u.email`, [req.params.id]);
+      res.json({ [kind]: r.rows });
+    } catch (e) {
+      console.error(`Get cohort ${kind} error:`, e);
+      res.status(500).json({ error: `Failed to get ${kind}` });
+    }
+  });
 
-    const codes = [];
-    for (let i = 0; i < count; i++) {
-      let code;
-      let attempts = 0;
-      do {
-        code = generateCode(prefix, 6);
-        const exists = await pool.query('SELECT id FROM access_codes WHERE code=$1', [code]);
-        if (exists.rows.length === 0) break;
-        attempts++;
-      } while (attempts < 10);
+  app.post(`/api/admin/cohorts/:id/${kind}`, verifyToken, requirePermission('cohorts.manage'), requireIdParams, async (req, res) => {
+    try {
+      const cohortR = await pool.query('SELECT id FROM cohorts WHERE id=$1', [req.params.id]);
+      if (cohortR.rows.length === 0) return res.status(404).json({ error: 'Cohort not found' });
+      const { ids, error } = await resolveUserIds(req.body);
+      if (error) return res.status(400).json({ error });
+      const added = await withTransaction(async client => {
+        const r = await client.query(`INSERT INTO ${table} (cohort_id, user_id) SELECT $1, unnest($2::int[]) ON CONFLICT DO NOTHING RETURNING user_id`, [req.params.id, ids]);
+        const userIds = r.rows.map(row => row.user_id);
+        await recordAudit(req, `cohort.${kind}.add`, { targetType: 'cohort', targetId: req.params.id, after: { userIds } }, client);
+        return userIds;
+      });
+      res.json({ message: `${added.length} user(s) added to ${kind}`, added });
+    } catch (e) {
+      console.error(`Add cohort ${kind} error:`, e);
+      res.status(500).json({ error: `Failed to add ${kind}` });
+    }
+  });
 
-      await pool.query('INSERT INTO access_codes (code, sent_to_email, sent_at) VALUES ($1, $2, CURRENT_TIMESTAMP)', [code, email]);
-      codes.push(code);
+  app.delete(`/api/admin/cohorts/:id/${kind}/:userId`, verifyToken, requirePermission('cohorts.manage'), requireIdParams, async (req, res) => {
+    try {
+      const r = await withTransaction(async client => {
+        const deleted = await client.query(`DELETE FROM ${table} WHERE cohort_id=$1 AND user_id=$2 RETURNING user_id`, [req.params.id, req.params.userId]);
+        if (deleted.rows.length > 0) await recordAudit(req, `cohort.${kind}.remove`, { targetType: 'cohort', targetId: req.params.id, before: { userId: Number(req.params.userId) } }, client);
+        return deleted;
+      });
+      if (r.rows.length === 0) return res.status(404).json({ error: 'User is not in this cohort' });
+      res.json({ message: 'Removed from cohort' });
+    } catch (e) {
+      console.error(`Remove cohort ${kind} error:`, e);
+      res.status(500).json({ error: `Failed to remove ${kind}` });
     }
+  });
+}
 
-    // Send email with codes
-    const codesHtml = codes.map(c => `<li style="font-family: monospace; font-size: 18px; margin: 10px 0;">${c}</li>`).join('');
-    
-    await sendEmail(email, 'Your RNPathfinders Access Code(s) 🎯', `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h1 style="color: #00f0ff;">Your Access Code${codes.length > 1 ? 's' : ''} 🛡️</h1>
-        <p>You've been invited to join RNPathfinders!</p>
-        <p>Use ${codes.length > 1 ? 'one of these codes' : 'this code'} to register:</p>
-        <ul style="list-style: none; padding: 20px; background: #1a1a2e; border-radius: 8px;">
-          ${codesHtml}
-        </ul>
-        <p>Visit <a href="${process.env.FRONTEND_URL || 'https://rnpathfinders.ng'}" style="color: #00f0ff;">RNPathfinders</a> to get started.</p>
-        <p style="color: #888;">Each code can only be used once.</p>
-      </div>
-    `);
+// Instructors of the cohort in :id, and admins who manage cohorts, get through; sets req.cohort
+async function requireCohortAccess(req, res, next) {
+  try {
+    const r = await pool.query(`${COHORT_SUMMARY_SQL} WHERE c.id=$1`, [req.params.id]);
+    if (r.rows.length === 0) return res.status(404).json({ error: 'Cohort not found' });
+    if (!req.user.permissions.includes('cohorts.manage')) {
+      const instructorR = await pool.query('SELECT 1 FROM cohort_instructors WHERE cohort_id=$1 AND user_id=$2', [req.params.id, req.user.userId]);
+      if (instructorR.rows.length === 0) return res.status(403).json({ error: 'You are not an instructor for this cohort' });
+    }
+    req.cohort = r.rows[0];
+    next();
+  } catch (e) {
+    console.error('Cohort access error:', e);
+    res.status(500).json({ error: 'Failed to check cohort access' });
+  }
+}
 
-    res.json({ 
-      message: `${codes.length} code(s) sent to ${email}`,
-      codes,
-      email
-    });
+app.get('/api/instructor/cohorts', verifyToken, async (req, res) => {
+  try {
+    const r = await pool.query(`
+      ${COHORT_SUMMARY_SQL}
+      WHERE c.id IN (SELECT cohort_id FROM cohort_instructors WHERE user_id=$1)
+      ORDER BY c.is_active DESC, c.name
+    `, [req.user.userId]);
+    res.json({ cohorts: r.rows });
   } catch (e) {
-    console.error('Send codes error:', e);
-    res.status(500).json({ error: 'Failed to send codes' });
+    console.error('Instructor cohorts error:', e);
+    res.status(500).json({ error: 'Failed to get cohorts' });
   }
 });
 
-// =============================================
-// ADMIN: GET UNLOCK REQUESTS
-// =============================================
-
-app.get('/api/admin/unlock-requests', verifyToken, async (req, res) => {
+app.get('/api/instructor/cohorts/:id/members', verifyToken, requireIdParams, requireCohortAccess, async (req, res) => {
   try {
-    if (!req.user.isAdmin) return res.status(403).json({ error: 'Admin required' });
-
     const r = await pool.query(`
-      SELECT u.id, u.email, u.session_count, u.aar_count, u.subject_locked_at, u.unlock_requested_at,
-             s.name as subject_name, s.code as subject_code
-      FROM users u
-      LEFT JOIN subjects s ON u.primary_subject_id = s.id
-      WHERE u.unlock_requested = TRUE
-      ORDER BY u.unlock_requested_at DESC
-    `);
+      SELECT u.id, u.email, cm.joined_at, u.primary_subject_id, s.name as subject_name, s.code as subject_code, u.subject_locked_at,
+             u.session_count, u.aar_count, u.total_study_minutes, u.last_activity, u.unlock_requested
+      FROM cohort_members cm
+      JOIN users u ON cm.user_id=u.id
+      LEFT JOIN subjects s ON u.primary_subject_id=s.id
+      WHERE cm.cohort_id=$1
+      ORDER BY u.email
+    `, [req.params.id]);
 
-    const requests = r.rows.map(row => {
-      const daysPassed = row.subject_locked_at ? Math.floor((Date.now() - new Date(row.subject_locked_at)) / (1000 * 60 * 60 * 24)) : 0;
-      return {
-        ...row,
-        days_passed: daysPassed,
-        requirements_met: daysPassed >= 7 && row.session_count >= 5 && row.aar_count >= 3
-      };
-    });
+    const members = await Promise.all(r.rows.map(async row => {
+      const [completion] = row.primary_subject_id ? await getResourceCompletion(row.id, [row.primary_subject_id]) : [];
+      return { ...row, resource_completion: completion ? completion.percent : null };
+    }));
+    res.json({ cohort: req.cohort, members });
+  } catch (e) {
+    console.error('Cohort members error:', e);
+    res.status(500).json({ error: 'Failed to get members' });
+  }
+});
 
-    res.json({ requests });
+app.get('/api/instructor/cohorts/:id/unlock-requests', verifyToken, requireIdParams, requireCohortAccess, async (req, res) => {
+  try {
+    res.json({ cohort: req.cohort, requests: await getPendingUnlockRequests(req.cohort.id) });
   } catch (e) {
-    console.error('Get unlock requests error:', e);
+    console.error('Cohort unlock requests error:', e);
     res.status(500).json({ error: 'Failed to get requests' });
   }
 });
 
-// =============================================
-// ADMIN: APPROVE/DENY UNLOCK
-// =============================================
-
-app.post('/api/admin/users/:id/approve-unlock', verifyToken, async (req, res) => {
+// AARs written per completed session over the last `days` days (default 30)
+app.get('/api/instructor/cohorts/:id/aar-rates', verifyToken, requireIdParams, requireCohortAccess, async (req, res) => {
   try {
-    if (!req.user.isAdmin) return res.status(403).json({ error: 'Admin required' });
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const r = await pool.query(`
+      SELECT u.id, u.email,
+             (SELECT COUNT(*)::int FROM study_sessions ss WHERE ss.user_id=u.id AND ss.is_completed=TRUE AND ss.completed_at >= LOCALTIMESTAMP - make_interval(days => $2)) as sessions,
+             (SELECT COUNT(*)::int FROM aar_entries a WHERE a.user_id=u.id AND a.created_at >= LOCALTIMESTAMP - make_interval(days => $2)) as aars
+      FROM cohort_members cm JOIN users u ON cm.user_id=u.id
+      WHERE cm.cohort_id=$1
+      ORDER BY u.email
+    `, [req.params.id, days]);
 
-    const userId = req.params.id;
-    const userR = await pool.query('SELECT email FROM users WHERE id=$1', [userId]);
-    if (userR.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+    const rate = (aars, sessions) => sessions > 0 ? Math.min(100, Math.round(aars / sessions * 100)) : null;
+    const members = r.rows.map(row => ({ ...row, aar_rate: rate(row.aars, row.sessions) }));
+    const sessions = members.reduce((sum, m) => sum + m.sessions, 0);
+    const aars = members.reduce((sum, m) => sum + m.aars, 0);
+    res.json({
+      cohort: req.cohort,
+      days,
+      summary: {
+        members: members.length,
+        sessions,
+        aars,
+        aarRate: rate(aars, sessions),
+        membersSubmitting: members.filter(m => m.aars > 0).length
+      },
+      members
+    });
+  } catch (e) {
+    console.error('Cohort AAR rates error:', e);
+    res.status(500).json({ error: 'Failed to get AAR rates' });
+  }
+});
 
-    await pool.query('UPDATE users SET primary_subject_id=NULL, subject_locked_at=NULL, lock_expires_at=NULL, onboarding_complete=FALSE, unlock_requested=FALSE, aar_count=0, session_count=0 WHERE id=$1', [userId]);
+// ============================================
+// ADMIN: AUDIT LOG
+// ============================================
+// Filters: actorId, actorEmail, action (exact, or a prefix ending in "." such as
+// "unlock."), targetType + targetId, userId (as actor or as target), from/to.
 
-    await sendEmail(userR.rows[0].email, 'Subject Unlocked! 🎉 - RNPathfinders', `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h1 style="color: #00ff88;">Subject Unlocked! 🔓</h1>
-        <p>Great news! Your unlock request has been approved.</p>
-        <p>You can now choose a new subject to focus on.</p>
-        <p>Login to RNPathfinders to continue your journey!</p>
-      </div>
-    `);
+const AUDIT_LOG_COLUMNS = ['id', 'created_at', 'actor_id', 'actor_email', 'action', 'target_type', 'target_id', 'before', 'after', 'ip', 'user_agent'];
+const AUDIT_EXPORT_LIMIT = 10000;
 
-    res.json({ message: 'User unlocked and notified via email' });
+function parseAuditFilters(query) {
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace(/\?/g, `$${params.length}`));
+  };
+  if (query.actorId) add('actor_id::text=?', String(query.actorId));
+  if (query.actorEmail) add(`actor_email ILIKE '%' || ? || '%'`, query.actorEmail);
+  if (query.action) {
+    if (query.action.endsWith('.')) add(`action LIKE ? || '%'`, query.action);
+    else add('action=?', query.action);
+  }
+  if (query.targetType) add('target_type=?', query.targetType);
+  if (query.targetId) add('target_id=?', String(query.targetId));
+  if (query.userId) add(`(actor_id::text=? OR (target_type='user' AND target_id=?))`, String(query.userId));
+  for (const [key, op] of [['from', '>='], ['to', '<']]) {
+    if (!query[key]) continue;
+    if (isNaN(new Date(query[key]))) return { error: `${key} must be a date` };
+    add(`created_at ${op} ?::timestamptz AT TIME ZONE current_setting('TimeZone')`, query[key]);
+  }
+  return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+app.get('/api/admin/audit-log', verifyToken, requirePermission('audit.view'), async (req, res) => {
+  try {
+    const { where, params, error } = parseAuditFilters(req.query);
+    if (error) return res.status(400).json({ error });
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const r = await pool.query(
+      `SELECT ${AUDIT_LOG_COLUMNS.join(', ')} FROM audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    const countR = await pool.query(`SELECT COUNT(*)::int as total FROM audit_log ${where}`, params);
+    res.json({ entries: r.rows, total: countR.rows[0].total, limit, offset });
   } catch (e) {
-    console.error('Approve unlock error:', e);
-    res.status(500).json({ error: 'Failed to approve unlock' });
+    console.error('Audit log error:', e);
+    res.status(500).json({ error: 'Failed to load audit log' });
   }
 });
 
-app.post('/api/admin/users/:id/deny-unlock', verifyToken, async (req, res) => {
+app.get('/api/admin/audit-log/export', verifyToken, requirePermission('audit.view'), async (req, res) => {
   try {
-    if (!req.user.isAdmin) return res.status(403).json({ error: 'Admin required' });
+    const { where, params, error } = parseAuditFilters(req.query);
+    if (error) return res.status(400).json({ error });
+    const r = await pool.query(
+      `SELECT ${AUDIT_LOG_COLUMNS.join(', ')} FROM audit_log ${where} ORDER BY created_at, id LIMIT ${AUDIT_EXPORT_LIMIT}`,
+      params
+    );
+    sendCsv(res, `audit-log-${new Date().toISOString().slice(0, 10)}.csv`, r.rows, AUDIT_LOG_COLUMNS);
+  } catch (e) {
+    console.error('Audit log export error:', e);
+    res.status(500).json({ error: 'Failed to export audit log' });
+  }
+});
 
-    const userId = req.params.id;
-    const { reason } = req.body;
+// ============================================
+// PERSONAL DATA EXPORT
+// ============================================
+// Everything stored about a user, as a zip holding export.json plus one CSV per
+// table. Each query takes the user id as $1.
 
-    const userR = await pool.query('SELECT email FROM users WHERE id=$1', [userId]);
-    if (userR.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+const EXPORT_TABLES = [
+  { name: 'study_sessions', sql: 'SELECT ss.*, s.code as subject_code, s.name as subject_name FROM study_sessions ss LEFT JOIN subjects s ON ss.subject_id=s.id WHERE ss.user_id=$1 ORDER BY ss.started_at' },
+  { name: 'session_pauses', sql: 'SELECT sp.* FROM session_pauses sp JOIN study_sessions ss ON sp.session_id=ss.id WHERE ss.user_id=$1 ORDER BY sp.paused_at' },
+  { name: 'aar_entries', sql: 'SELECT a.id, a.subject_id, s.code as subject_code, s.name as subject_name, a.session_id, a.what_worked, a.what_blocked, a.tomorrow_plan, a.created_at, a.updated_at FROM aar_entries a LEFT JOIN subjects s ON a.subject_id=s.id WHERE a.user_id=$1 ORDER BY a.created_at' },
+  { name: 'user_progress', sql: 'SELECT up.*, r.title as resource_title, r.url as resource_url FROM user_progress up JOIN resources r ON up.resource_id=r.id WHERE up.user_id=$1 ORDER BY up.completed_at' },
+  { name: 'quizzes', sql: 'SELECT * FROM quizzes WHERE user_id=$1 ORDER BY started_at' },
+  { name: 'quiz_answers', sql: 'SELECT qa.*, q.prompt FROM quiz_answers qa JOIN quizzes z ON qa.quiz_id=z.id JOIN questions q ON qa.question_id=q.id WHERE z.user_id=$1 ORDER BY qa.quiz_id, qa.id' },
+  { name: 'flashcards', sql: 'SELECT * FROM flashcards WHERE owner_id=$1 ORDER BY created_at' },
+  { name: 'flashcard_schedules', sql: 'SELECT * FROM flashcard_schedules WHERE user_id=$1 ORDER BY card_id' },
+  { name: 'flashcard_reviews', sql: 'SELECT * FROM flashcard_reviews WHERE user_id=$1 ORDER BY reviewed_at' },
+  { name: 'locks', sql: 'SELECT sl.id, sl.subject_id, s.code as subject_code, s.name as subject_name, sl.locked_at, sl.lock_expires_at, sl.unlocked_at, sl.end_reason, sl.session_count, sl.aar_count FROM subject_locks sl JOIN subjects s ON sl.subject_id=s.id WHERE sl.user_id=$1 ORDER BY sl.locked_at' },
+  { name: 'study_plans', sql: "SELECT id, subject_lock_id, to_char(target_date, 'YYYY-MM-DD') as target_date, weekly_minutes, daily_minutes, created_at, updated_at FROM study_plans WHERE user_id=$1 ORDER BY created_at" },
+  { name: 'unlock_requests', sql: 'SELECT id, subject_lock_id, status, justification, progress, review_reason, created_at, reviewed_at FROM unlock_requests WHERE user_id=$1 ORDER BY created_at' },
+  { name: 'access_codes', sql: 'SELECT ac.code, acr.redeemed_at, ac.sent_to_email, ac.sent_at, ac.created_at FROM access_code_redemptions acr JOIN access_codes ac ON acr.code_id=ac.id WHERE acr.user_id=$1 ORDER BY acr.redeemed_at' },
+  { name: 'email_preferences', sql: 'SELECT * FROM email_preferences WHERE user_id=$1' },
+  { name: 'cohorts', sql: 'SELECT c.id, c.name, cm.joined_at FROM cohort_members cm JOIN cohorts c ON cm.cohort_id=c.id WHERE cm.user_id=$1 ORDER BY cm.joined_at' }
+];
 
-    await pool.query('UPDATE users SET unlock_requested=FALSE WHERE id=$1', [userId]);
+// Credentials and security bookkeeping stay out of the export
+const EXPORT_PROFILE_OMIT = ['password', 'token_version', 'failed_login_attempts', 'last_failed_login_at', 'locked_until'];
 
-    await sendEmail(userR.rows[0].email, 'Unlock Request Update - RNPathfinders', `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h1 style="color: #ffbe0b;">Unlock Request Update</h1>
-        <p>Your unlock request was not approved at this time.</p>
-        ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ''}
-        <p>Please continue working on meeting the requirements:</p>
-        <ul>
-          <li>7 days with the subject</li>
-          <li>5 completed sessions</li>
-          <li>3 after-action reviews</li>
-        </ul>
-        <p>Keep going, Operative! 💪</p>
-      </div>
-    `);
+async function buildUserExport(userId) {
+  const userR = await pool.query('SELECT * FROM users WHERE id=$1', [userId]);
+  if (userR.rows.length === 0) return null;
+  const profile = Object.fromEntries(Object.entries(userR.rows[0]).filter(([key]) => !EXPORT_PROFILE_OMIT.includes(key)));
 
-    res.json({ message: 'Request denied and user notified' });
-  } catch (e) {
-    console.error('Deny unlock error:', e);
-    res.status(500).json({ error: 'Failed to deny unlock' });
+  const tables = {};
+  const files = [];
+  for (const table of EXPORT_TABLES) {
+    const r = await pool.query(table.sql, [userId]);
+    tables[table.name] = r.rows;
+    files.push({ name: `${table.name}.csv`, content: toCsv(r.rows, r.fields.map(f => f.name)) });
   }
-});
 
-// =============================================
-// EXISTING ROUTES (keeping all your routes)
-// =============================================
+  const data = { exportedAt: new Date().toISOString(), profile, ...tables };
+  files.unshift(
+    { name: 'export.json', content: JSON.stringify(data, null, 2) },
+    { name: 'profile.csv', content: toCsv([profile], Object.keys(profile)) }
+  );
+  return { data, files };
+}
 
-app.get('/api/auth/me', verifyToken, async (req, res) => {
-  try {
-    const userR = await pool.query(`SELECT u.*,s.name as primary_subject_name,s.code as primary_subject_code,d.name as department_name,d.icon as department_icon FROM users u LEFT JOIN subjects s ON u.primary_subject_id=s.id LEFT JOIN departments d ON s.department_id=d.id WHERE u.id=$1`, [req.user.userId]);
-    if (userR.rows.length === 0) return res.status(404).json({ error: 'User not found' });
-    const u = userR.rows[0];
-    res.json({ user: { id: u.id, email: u.email, isAdmin: u.is_admin, onboardingComplete: u.onboarding_complete, primarySubjectId: u.primary_subject_id, primarySubjectName: u.primary_subject_name, primarySubjectCode: u.primary_subject_code, departmentName: u.department_name, departmentIcon: u.department_icon, unlockRequested: u.unlock_requested } });
-  } catch (e) { res.status(500).json({ error: 'Failed' }); }
-});
+async function sendUserExport(res, userId, format) {
+  const userExport = await buildUserExport(userId);
+  if (!userExport) return res.status(404).json({ error: 'User not found' });
+  if (format === 'json') return res.json(userExport.data);
+  const filename = `rnpathfinders-export-${userId}-${new Date().toISOString().slice(0, 10)}.zip`;
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(createZip(userExport.files));
+}
 
-app.get('/api/departments', async (req, res) => {
-  try {
-    const r = await pool.query('SELECT * FROM departments WHERE is_active=TRUE ORDER BY name');
-    res.json({ departments: r.rows });
-  } catch (e) { res.status(500).json({ error: 'Failed' }); }
-});
+const exportLimiter = createRateLimiter({ name: 'export', windowMs: 60 * MINUTE, max: 10, keyFn: req => req.user && req.user.userId });
 
-app.get('/api/departments/:id/subjects', async (req, res) => {
+// ?format=json returns the JSON document instead of the zip
+app.get('/api/me/export', verifyToken, exportLimiter, async (req, res) => {
   try {
-    const r = await pool.query('SELECT * FROM subjects WHERE department_id=$1 AND is_active=TRUE ORDER BY code', [req.params.id]);
-    res.json({ subjects: r.rows });
-  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+    await sendUserExport(res, req.user.userId, req.query.format);
+  } catch (e) {
+    console.error('Export error:', e);
+    res.status(500).json({ error: 'Failed to export data' });
+  }
 });
 
-app.get('/api/subjects', async (req, res) => {
+app.get('/api/admin/users/:id/export', verifyToken, requirePermission('users.manage'), requireIdParams, async (req, res) => {
   try {
-    const r = await pool.query('SELECT s.*,d.name as department_name FROM subjects s JOIN departments d ON s.department_id=d.id WHERE s.is_active=TRUE ORDER BY s.code');
-    res.json({ subjects: r.rows });
-  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+    await sendUserExport(res, req.params.id, req.query.format);
+  } catch (e) {
+    console.error('Admin export error:', e);
+    res.status(500).json({ error: 'Failed to export data' });
+  }
 });
 
-app.post('/api/declare-subject', verifyToken, async (req, res) => {
+// ============================================
+// ADMIN: EMAIL OUTBOX
+// ============================================
+
+const EMAIL_STATUSES = ['queued', 'sending', 'sent', 'failed', 'bounced'];
+
+app.get('/api/admin/emails', verifyToken, requirePermission('emails.manage'), async (req, res) => {
   try {
-    const { subjectId } = req.body;
-    if (!subjectId) return res.status(400).json({ error: 'Subject required' });
-    const userR = await pool.query('SELECT primary_subject_id FROM users WHERE id=$1', [req.user.userId]);
-    if (userR.rows[0].primary_subject_id) return res.status(400).json({ error: 'Subject already locked' });
-    const lockExpires = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-    await pool.query('UPDATE users SET primary_subject_id=$1,subject_locked_at=CURRENT_TIMESTAMP,lock_expires_at=$2,onboarding_complete=TRUE WHERE id=$3', [subjectId, lockExpires, req.user.userId]);
-    res.json({ message: 'Subject locked for 7 days!' });
-  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+    const { status, to } = req.query;
+    if (status && !EMAIL_STATUSES.includes(status)) return res.status(400).json({ error: `Status must be one of: ${EMAIL_STATUSES.join(', ')}` });
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const r = await pool.query(`
+      SELECT id, to_email, subject, template, locale, status, attempts, max_attempts, next_attempt_at, last_error, transport, message_id, sent_at, created_at, updated_at
+      FROM email_outbox
+      WHERE ($1::text IS NULL OR status=$1) AND ($2::text IS NULL OR to_email ILIKE '%' || $2 || '%')
+      ORDER BY created_at DESC, id DESC LIMIT $3 OFFSET $4
+    `, [status || null, to || null, limit, offset]);
+    const countsR = await pool.query('SELECT status, COUNT(*)::int as count FROM email_outbox GROUP BY status');
+    const counts = Object.fromEntries(EMAIL_STATUSES.map(s => [s, 0]));
+    for (const row of countsR.rows) counts[row.status] = row.count;
+
+    res.json({ emails: r.rows, counts });
+  } catch (e) {
+    console.error('List emails error:', e);
+    res.status(500).json({ error: 'Failed to list emails' });
+  }
 });
 
-app.get('/api/resources', verifyToken, async (req, res) => {
+app.get('/api/admin/emails/:id', verifyToken, requirePermission('emails.manage'), requireIdParams, async (req, res) => {
   try {
-    const userR = await pool.query('SELECT primary_subject_id FROM users WHERE id=$1', [req.user.userId]);
-    const subjectId = userR.rows[0]?.primary_subject_id;
-    if (!subjectId) return res.json({ resources: [] });
-    const r = await pool.query('SELECT * FROM resources WHERE subject_id=$1 AND is_active=TRUE ORDER BY sort_order,title', [subjectId]);
-    res.json({ resources: r.rows });
-  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+    const r = await pool.query(`
+      SELECT id, to_email, subject, html, text_body, template, locale, meta, status, attempts, max_attempts, next_attempt_at,
+             last_error, transport, message_id, sent_at, created_at, updated_at
+      FROM email_outbox WHERE id=$1
+    `, [req.params.id]);
+    if (r.rows.length === 0) return res.status(404).json({ error: 'Email not found' });
+    res.json({ email: r.rows[0] });
+  } catch (e) {
+    console.error('Get email error:', e);
+    res.status(500).json({ error: 'Failed to load email' });
+  }
 });
 
-app.get('/api/progress', verifyToken, async (req, res) => {
+// Undelivered messages are retried in place; delivered ones are queued again as a new copy
+app.post('/api/admin/emails/:id/resend', verifyToken, requirePermission('emails.manage'), requireIdParams, async (req, res) => {
   try {
-    const userR = await pool.query('SELECT * FROM users WHERE id=$1', [req.user.userId]);
-    const u = userR.rows[0];
-    const daysPassed = u.subject_locked_at ? Math.floor((Date.now() - new Date(u.subject_locked_at)) / (1000 * 60 * 60 * 24)) : 0;
-    const todayStart = new Date(); todayStart.setHours(0, 0, 0, 0);
-    const streakR = await pool.query('SELECT DISTINCT DATE(completed_at) as d FROM study_sessions WHERE user_id=$1 AND is_completed=TRUE ORDER BY d DESC', [req.user.userId]);
-    let streak = 0;
-    if (streakR.rows.length > 0) {
-      let checkDate = new Date(); checkDate.setHours(0, 0, 0, 0);
-      for (const row of streakR.rows) {
-        const sessionDate = new Date(row.d); sessionDate.setHours(0, 0, 0, 0);
-        if (sessionDate.getTime() === checkDate.getTime()) { streak++; checkDate.setDate(checkDate.getDate() - 1); }
-        else if (sessionDate.getTime() === checkDate.getTime() - 86400000) { streak++; checkDate = sessionDate; checkDate.setDate(checkDate.getDate() - 1); }
-        else break;
+    const r = await pool.query('SELECT * FROM email_outbox WHERE id=$1', [req.params.id]);
+    if (r.rows.length === 0) return res.status(404).json({ error: 'Email not found' });
+    const email = r.rows[0];
+    if (email.status === 'sending') return res.status(409).json({ error: 'Email is being delivered right now' });
+    const hadSecrets = email.template_data && EMAIL_SECRET_FIELDS.some(key => email.template_data[key] !== undefined);
+    if (hadSecrets && !email.secret_data) return res.status(400).json({ error: 'This email held a one-time link or access code and can no longer be resent; issue a new one instead' });
+
+    const emailId = await withTransaction(async client => {
+      let queuedId = email.id;
+      if (email.status === 'sent') {
+        const message = { subject: email.subject, html: email.html, text: email.text_body, template: email.template, locale: email.locale, data: email.template_data };
+        queuedId = await queueEmail(email.to_email, message, { ...email.meta, resendOf: email.id }, client);
+      } else {
+        await client.query(`UPDATE email_outbox SET status='queued', attempts=0, next_attempt_at=LOCALTIMESTAMP, last_error=NULL, updated_at=LOCALTIMESTAMP WHERE id=$1`, [email.id]);
       }
-    }
-    res.json({ progress: { totalSessions: u.session_count || 0, totalAARs: u.aar_count || 0, totalStudyMinutes: u.total_study_minutes || 0, currentStreak: streak, lockProgress: { days: daysPassed, sessions: u.session_count || 0, aars: u.aar_count || 0 } } });
-  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+      await recordAudit(req, 'email.resend', { targetType: 'email', targetId: email.id, before: { status: email.status }, after: { emailId: queuedId } }, client);
+      return queuedId;
+    });
+    setImmediate(processEmailOutbox);
+    res.json({ message: 'Email queued for delivery', emailId });
+  } catch (e) {
+    console.error('Resend email error:', e);
+    res.status(500).json({ error: 'Failed to resend email' });
+  }
 });
 
-app.post('/api/sessions/start', verifyToken, async (req, res) => {
-  try {
-    const { plannedDuration, sessionType } = req.body;
-    if (!plannedDuration) return res.status(400).json({ error: 'Duration required' });
-    const userR = await pool.query('SELECT primary_subject_id FROM users WHERE id=$1', [req.user.userId]);
-    const subjectId = userR.rows[0]?.primary_subject_id;
-    if (!subjectId) return res.status(400).json({ error: 'No subject selected' });
-    const activeR = await pool.query('SELECT id FROM study_sessions WHERE user_id=$1 AND is_completed=FALSE', [req.user.userId]);
-    if (activeR.rows.length > 0) return res.status(400).json({ error: 'Session already active' });
-    const r = await pool.query('INSERT INTO study_sessions (user_id,subject_id,planned_duration,session_type) VALUES ($1,$2,$3,$4) RETURNING *', [req.user.userId, subjectId, plannedDuration, sessionType || 'active_recall']);
-    res.json({ message: 'Session started', session: r.rows[0] });
-  } catch (e) { res.status(500).json({ error: 'Failed' }); }
-});
+// ============================================
+// ADMIN: EMAIL TEMPLATES
+// ============================================
 
-app.get('/api/sessions/active', verifyToken, async (req, res) => {
-  try {
-    const r = await pool.query('SELECT * FROM study_sessions WHERE user_id=$1 AND is_completed=FALSE ORDER BY started_at DESC LIMIT 1', [req.user.userId]);
-    res.json({ activeSession: r.rows[0] || null });
-  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+app.get('/api/admin/email-templates', verifyToken, requirePermission('emails.manage'), async (req, res) => {
+  res.json({ templates: Object.keys(EMAIL_TEMPLATES), locales: SUPPORTED_LOCALES, defaultLocale: DEFAULT_LOCALE });
 });
 
-app.post('/api/sessions/:id/complete', verifyToken, async (req, res) => {
+// Renders a template with its sample data; ?format=html or ?format=text returns that part alone
+app.get('/api/admin/email-templates/:name/preview', verifyToken, requirePermission('emails.manage'), async (req, res) => {
   try {
-    const sessionR = await pool.query('SELECT * FROM study_sessions WHERE id=$1 AND user_id=$2', [req.params.id, req.user.userId]);
-    if (sessionR.rows.length === 0) return res.status(404).json({ error: 'Session not found' });
-    const session = sessionR.rows[0];
-    const actualMinutes = Math.floor((Date.now() - new Date(session.started_at)) / 60000);
-    if (actualMinutes < 5) return res.status(400).json({ error: 'Minimum 5 minutes required' });
-    await pool.query('UPDATE study_sessions SET is_completed=TRUE,completed_at=CURRENT_TIMESTAMP,actual_duration=$1 WHERE id=$2', [actualMinutes, req.params.id]);
-    await pool.query('UPDATE users SET session_count=session_count+1,total_study_minutes=total_study_minutes+$1,last_activity=CURRENT_TIMESTAMP WHERE id=$2', [actualMinutes, req.user.userId]);
-    res.json({ message: 'Session completed!', duration: actualMinutes });
-  } catch (e) { res.status(500).json({ error: 'Failed' }); }
-});
+    if (!Object.hasOwn(EMAIL_TEMPLATES, req.params.name)) return res.status(404).json({ error: 'Template not found' });
+    const template = EMAIL_TEMPLATES[req.params.name];
+    const { locale, format } = req.query;
+    if (locale !== undefined && !SUPPORTED_LOCALES.includes(locale)) return res.status(400).json({ error: `Locale must be one of: ${SUPPORTED_LOCALES.join(', ')}` });
 
-app.post('/api/aar/submit', verifyToken, async (req, res) => {
-  try {
-    const { whatWorked, whatBlocked, tomorrowPlan } = req.body;
-    if (!whatWorked || !whatBlocked || !tomorrowPlan) return res.status(400).json({ error: 'All fields required' });
-    const wordCount = (whatWorked + ' ' + whatBlocked + ' ' + tomorrowPlan).split(/\s+/).filter(w => w).length;
-    if (wordCount < 20) return res.status(400).json({ error: 'Minimum 20 words required' });
-    const userR = await pool.query('SELECT primary_subject_id FROM users WHERE id=$1', [req.user.userId]);
-    const subjectId = userR.rows[0]?.primary_subject_id;
-    await pool.query('INSERT INTO aar_entries (user_id,subject_id,what_worked,what_blocked,tomorrow_plan) VALUES ($1,$2,$3,$4,$5)', [req.user.userId, subjectId, whatWorked, whatBlocked, tomorrowPlan]);
-    await pool.query('UPDATE users SET aar_count=aar_count+1 WHERE id=$1', [req.user.userId]);
-    res.json({ message: 'AAR submitted!' });
-  } catch (e) { res.status(500).json({ error: 'Failed' }); }
+    const email = renderEmail(req.params.name, locale, template.sample);
+    if (format === 'html') return res.type('html').send(email.html);
+    if (format === 'text') return res.type('text').send(email.text);
+    res.json({ email });
+  } catch (e) {
+    console.error('Preview template error:', e);
+    res.status(500).json({ error: 'Failed to render template' });
+  }
 });
 
-// Admin routes
-app.post('/api/admin/codes', verifyToken, async (req, res) => {
+// ============================================
+// SCHEDULED EMAILS
+// ============================================
+// A once-a-minute scheduler sends reminder, nudge and digest emails. Every send is
+// first claimed in scheduled_job_runs under a (job, run key) pair, so restarts and
+// multiple instances never send the same email twice.
+
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+const STREAK_NUDGE_TIME = '20:00';
+const DIGEST_TIME = '08:00';
+const ADMIN_SUMMARY_TIME = '08:00';
+const EMAIL_PREFERENCES = [
+  { key: 'studyReminders', column: 'study_reminders' },
+  { key: 'streakNudges', column: 'streak_nudges' },
+  { key: 'weeklyDigest', column: 'weekly_digest' },
+  { key: 'adminSummary', column: 'admin_summary' }
+];
+
+const apiUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+function addDays(date, days) {
+  const d = new Date(date + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// Unsubscribe tokens are signed rather than stored: "<userId>.<preference|all>.<hmac>"
+function signUnsubscribe(payload) {
+  return crypto.createHmac('sha256', JWT_SECRET).update(`unsubscribe:${payload}`).digest('base64url');
+}
+
+function unsubscribeUrl(userId, preference) {
+  const payload = `${userId}.${preference}`;
+  return `${apiUrl()}/api/email/unsubscribe?token=${payload}.${signUnsubscribe(payload)}`;
+}
+
+function verifyUnsubscribeToken(token) {
+  const [userId, preference, signature] = String(token || '').split('.');
+  if (!userId || !preference || !signature) return null;
+  const expected = Buffer.from(signUnsubscribe(`${userId}.${preference}`));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  if (preference !== 'all' && !EMAIL_PREFERENCES.some(p => p.column === preference)) return null;
+  return { userId: parseInt(userId), preference };
+}
+
+// Returns true if this process won the run; false if it already happened
+async function claimJobRun(jobName, runKey) {
+  const r = await pool.query('INSERT INTO scheduled_job_runs (job_name, run_key) VALUES ($1,$2) ON CONFLICT DO NOTHING RETURNING job_name', [jobName, runKey]);
+  return r.rows.length > 0;
+}
+
+// Of the given recipients, those whose run for this period hasn't been claimed yet; one query per tick
+async function unclaimedRecipients(jobName, recipients, runKeyFor) {
+  if (recipients.length === 0) return [];
+  const r = await pool.query('SELECT run_key FROM scheduled_job_runs WHERE job_name=$1 AND run_key=ANY($2)', [jobName, recipients.map(runKeyFor)]);
+  const claimed = new Set(r.rows.map(row => row.run_key));
+  return recipients.filter(user => !claimed.has(runKeyFor(user)));
+}
+
+// Claims the period before building anything, so each user is evaluated once per period
+// rather than every tick. build() returns the email data, or null when there is nothing to
+// send this period (the claim stays). A failure releases the claim so the next tick retries.
+async function sendScheduledEmail(jobName, runKey, user, template, preference, build) {
+  if (!await claimJobRun(jobName, runKey)) return false;
   try {
-    if (!req.user.isAdmin) return res.status(403).json({ error: 'Admin required' });
-    const { count = 5, prefix = 'OP' } = req.body;
-    const codes = [];
-    for (let i = 0; i < count; i++) {
-      let code;
-      let attempts = 0;
-      do {
-        code = generateCode(prefix, 6);
-        const exists = await pool.query('SELECT id FROM access_codes WHERE code=$1', [code]);
-        if (exists.rows.length === 0) break;
-        attempts++;
-      } while (attempts < 10);
-      await pool.query('INSERT INTO access_codes (code) VALUES ($1)', [code]);
-      codes.push(code);
+    const data = await build();
+    if (!data) return false;
+    await queueTemplateEmail(user.email, template, { ...data, unsubscribeUrl: unsubscribeUrl(user.id, preference) }, { locale: user.locale, meta: { job: jobName, runKey } });
+    return true;
+  } catch (e) {
+    await pool.query('DELETE FROM scheduled_job_runs WHERE job_name=$1 AND run_key=$2', [jobName, runKey]);
+    throw e;
+  }
+}
+
+const dailyRunKey = user => `${user.id}:${user.local_date}`;
+// Keyed by the first day of the week being summarised
+const weeklyDigestRunKey = user => `${user.id}:${addDays(periodStart(user.local_date, 'week'), -7)}`;
+
+// Users with a preference switched on, with their local date/time. $1 is the default zone.
+function scheduledRecipientsSql(preferenceColumn, extraWhere = '') {
+  return `
+    SELECT u.id, u.email, u.locale, u.rest_days_per_week, ep.reminder_time,
+           COALESCE(u.timezone, $1) as timezone,
+           to_char(CURRENT_TIMESTAMP AT TIME ZONE COALESCE(u.timezone, $1), 'YYYY-MM-DD') as local_date,
+           to_char(CURRENT_TIMESTAMP AT TIME ZONE COALESCE(u.timezone, $1), 'HH24:MI') as local_time
+    FROM users u JOIN email_preferences ep ON ep.user_id=u.id
+    WHERE ep.${preferenceColumn}=TRUE ${extraWhere}
+  `;
+}
+
+async function getStudyDates(userId, tz) {
+  const r = await pool.query(`SELECT DISTINCT to_char(${localDateSql('completed_at', '$2')}, 'YYYY-MM-DD') as d FROM study_sessions WHERE user_id=$1 AND is_completed=TRUE`, [userId, tz]);
+  return r.rows.map(row => row.d);
+}
+
+const SCHEDULED_JOBS = [
+  {
+    // At the student's chosen time, if they haven't studied yet today
+    name: 'study-reminder',
+    async run() {
+      const r = await pool.query(scheduledRecipientsSql('study_reminders', 'AND u.primary_subject_id IS NOT NULL'), [DEFAULT_TIMEZONE]);
+      const due = r.rows.filter(user => user.local_time >= user.reminder_time.slice(0, 5));
+      for (const user of await unclaimedRecipients(this.name, due, dailyRunKey)) {
+        await sendScheduledEmail(this.name, dailyRunKey(user), user, 'study-reminder', 'study_reminders', async () => {
+          const dates = await getStudyDates(user.id, user.timezone);
+          if (dates.includes(user.local_date)) return null;
+          return { streak: computeStreak(dates, user.local_date, user.rest_days_per_week || 0) };
+        });
+      }
     }
-    res.json({ message: `${count} codes generated`, codes });
-  } catch (e) { res.status(500).json({ error: 'Failed' }); }
-});
+  },
+  {
+    // In the evening, when skipping today would break a running streak
+    name: 'streak-at-risk',
+    async run() {
+      const r = await pool.query(scheduledRecipientsSql('streak_nudges'), [DEFAULT_TIMEZONE]);
+      const due = r.rows.filter(user => user.local_time >= STREAK_NUDGE_TIME);
+      for (const user of await unclaimedRecipients(this.name, due, dailyRunKey)) {
+        await sendScheduledEmail(this.name, dailyRunKey(user), user, 'streak-at-risk', 'streak_nudges', async () => {
+          const dates = await getStudyDates(user.id, user.timezone);
+          const restDays = user.rest_days_per_week || 0;
+          const streak = computeStreak(dates, user.local_date, restDays);
+          if (streak === 0 || dates.includes(user.local_date) || computeStreak(dates, addDays(user.local_date, 1), restDays) > 0) return null;
+          return { streak };
+        });
+      }
+    }
+  },
+  {
+    // Monday morning (or the first tick after it) for the week just ended
+    name: 'weekly-digest',
+    async run() {
+      const r = await pool.query(scheduledRecipientsSql('weekly_digest', 'AND u.onboarding_complete=TRUE'), [DEFAULT_TIMEZONE]);
+      const due = r.rows.filter(user => user.local_date !== periodStart(user.local_date, 'week') || user.local_time >= DIGEST_TIME);
+      for (const user of await unclaimedRecipients(this.name, due, weeklyDigestRunKey)) {
+        await sendScheduledEmail(this.name, weeklyDigestRunKey(user), user, 'weekly-digest', 'weekly_digest', async () => {
+          const weekStart = periodStart(user.local_date, 'week');
+          const from = addDays(weekStart, -7);
+          const to = addDays(weekStart, -1);
+          const days = await getDailyHistory(user.id, { from, to, subjectId: null, timezone: user.timezone });
+          const total = key => days.reduce((sum, d) => sum + d[key], 0);
+          if (total('sessions') === 0 && total('aars') === 0) return null;
+          const dates = await getStudyDates(user.id, user.timezone);
+          return {
+            from, to, minutes: total('minutes'), sessions: total('sessions'), aars: total('aars'), activeDays: days.filter(d => d.sessions > 0).length,
+            streak: computeStreak(dates, user.local_date, user.rest_days_per_week || 0)
+          };
+        });
+      }
+    }
+  },
+  {
+    // Admins get one summary a day while unlock requests are waiting
+    name: 'admin-unlock-summary',
+    async run() {
+      const pendingR = await pool.query('SELECT email, unlock_requested_at FROM users WHERE unlock_requested=TRUE ORDER BY unlock_requested_at');
+      if (pendingR.rows.length === 0) return;
+      const pending = pendingR.rows.map(p => ({ email: p.email, requestedAt: p.unlock_requested_at ? p.unlock_requested_at.toISOString().slice(0, 10) : '' }));
+      const r = await pool.query(scheduledRecipientsSql('admin_summary', `AND u.id IN (${usersWithPermissionSql('$2')})`), [DEFAULT_TIMEZONE, 'unlocks.manage']);
+      const due = r.rows.filter(admin => admin.local_time >= ADMIN_SUMMARY_TIME);
+      for (const admin of await unclaimedRecipients(this.name, due, dailyRunKey)) {
+        await sendScheduledEmail(this.name, dailyRunKey(admin), admin, 'admin-unlock-summary', 'admin_summary', async () => ({ pending }));
+      }
+    }
+  }
+];
 
-app.get('/api/admin/codes', verifyToken, async (req, res) => {
-  try {
-    if (!req.user.isAdmin) return res.status(403).json({ error: 'Admin required' });
-    const r = await pool.query('SELECT ac.*,u.email as used_by_email FROM access_codes ac LEFT JOIN users u ON ac.used_by=u.id ORDER BY ac.created_at DESC');
-    res.json({ codes: r.rows });
-  } catch (e) { res.status(500).json({ error: 'Failed' }); }
-});
+let schedulerRunning = false;
 
-app.get('/api/admin/users', verifyToken, async (req, res) => {
+async function runScheduledJobs() {
+  if (schedulerRunning) return;
+  schedulerRunning = true;
   try {
-    if (!req.user.isAdmin) return res.status(403).json({ error: 'Admin required' });
-    const r = await pool.query('SELECT u.id,u.email,u.is_admin,u.session_count,u.aar_count,u.total_study_minutes,u.onboarding_complete,u.unlock_requested,u.created_at,s.name as primary_subject FROM users u LEFT JOIN subjects s ON u.primary_subject_id=s.id ORDER BY u.created_at DESC');
-    res.json({ users: r.rows });
-  } catch (e) { res.status(500).json({ error: 'Failed' }); }
-});
+    for (const job of SCHEDULED_JOBS) {
+      try {
+        await job.run();
+      } catch (e) {
+        console.error(`Scheduled job ${job.name} error:`, e);
+      }
+    }
+  } catch (e) {
+    console.error('Scheduler error:', e);
+  } finally {
+    schedulerRunning = false;
+  }
+}
 
-app.post('/api/admin/resources', verifyToken, async (req, res) => {
-  try {
-    if (!req.user.isAdmin) return res.status(403).json({ error: 'Admin required' });
-    const { subjectId, title, url, type } = req.body;
-    if (!subjectId || !title || !url || !type) return res.status(400).json({ error: 'All fields required' });
-    const r = await pool.query('INSERT INTO resources (subject_id,title,url,type) VALUES ($1,$2,$3,$4) RETURNING *', [subjectId, title, url, type]);
-    res.json({ message: 'Resource added', resource: r.rows[0] });
-  } catch (e) { res.status(500).json({ error: 'Failed' }); }
-});
+function formatEmailPreferences(p) {
+  return {
+    ...Object.fromEntries(EMAIL_PREFERENCES.map(({ key, column }) => [key, p[column]])),
+    reminderTime: p.reminder_time.slice(0, 5)
+  };
+}
 
-app.get('/api/admin/resources', verifyToken, async (req, res) => {
-  try {
-    if (!req.user.isAdmin) return res.status(403).json({ error: 'Admin required' });
-    const r = await pool.query('SELECT r.*,s.name as subject_name,s.code as subject_code FROM resources r JOIN subjects s ON r.subject_id=s.id ORDER BY s.code,r.sort_order');
-    res.json({ resources: r.rows });
-  } catch (e) { res.status(500).json({ error: 'Failed' }); }
-});
+async function getEmailPreferences(userId) {
+  await pool.query('INSERT INTO email_preferences (user_id) VALUES ($1) ON CONFLICT DO NOTHING', [userId]);
+  const r = await pool.query('SELECT * FROM email_preferences WHERE user_id=$1', [userId]);
+  return r.rows[0];
+}
 
-app.delete('/api/admin/resources/:id', verifyToken, async (req, res) => {
+app.get('/api/me/email-preferences', verifyToken, async (req, res) => {
   try {
-    if (!req.user.isAdmin) return res.status(403).json({ error: 'Admin required' });
-    await pool.query('DELETE FROM resources WHERE id=$1', [req.params.id]);
-    res.json({ message: 'Deleted' });
+    res.json({ preferences: formatEmailPreferences(await getEmailPreferences(req.user.userId)) });
   } catch (e) { res.status(500).json({ error: 'Failed' }); }
 });
 
-app.post('/api/admin/users/:id/unlock', verifyToken, async (req, res) => {
+app.patch('/api/me/email-preferences', verifyToken, async (req, res) => {
   try {
-    if (!req.user.isAdmin) return res.status(403).json({ error: 'Admin required' });
-    const userId = req.params.id;
-    await pool.query('UPDATE users SET primary_subject_id=NULL,subject_locked_at=NULL,lock_expires_at=NULL,onboarding_complete=FALSE,aar_count=0,session_count=0,unlock_requested=FALSE WHERE id=$1', [userId]);
-    res.json({ message: 'User unlocked successfully.' });
-  } catch (e) { res.status(500).json({ error: 'Failed to unlock user' }); }
+    const fields = {};
+    for (const { key, column } of EMAIL_PREFERENCES) {
+      if (req.body[key] === undefined) continue;
+      if (typeof req.body[key] !== 'boolean') return res.status(400).json({ error: `${key} must be true or false` });
+      fields[column] = req.body[key];
+    }
+    if (req.body.reminderTime !== undefined) {
+      if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(req.body.reminderTime)) return res.status(400).json({ error: 'reminderTime must be HH:MM (24-hour)' });
+      fields.reminder_time = req.body.reminderTime;
+    }
+
+    await getEmailPreferences(req.user.userId);
+    const columns = Object.keys(fields);
+    if (columns.length > 0) {
+      await pool.query(
+        `UPDATE email_preferences SET ${columns.map((c, i) => `${c}=$${i + 1}`).join(',')}, updated_at=LOCALTIMESTAMP WHERE user_id=$${columns.length + 1}`,
+        [...Object.values(fields), req.user.userId]
+      );
+    }
+    res.json({ message: 'Email preferences updated', preferences: formatEmailPreferences(await getEmailPreferences(req.user.userId)) });
+  } catch (e) {
+    console.error('Email preferences error:', e);
+    res.status(500).json({ error: 'Failed to update email preferences' });
+  }
 });
 
-app.delete('/api/admin/users/:id', verifyToken, async (req, res) => {
+// Linked from scheduled emails, so it works without a login and answers with a page.
+// POST is accepted too for mail clients' one-click unsubscribe.
+app.all('/api/email/unsubscribe', async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).end();
   try {
-    if (!req.user.isAdmin) return res.status(403).json({ error: 'Admin required' });
-    const userId = req.params.id;
-    if (parseInt(userId) === req.user.userId) return res.status(400).json({ error: 'Cannot delete yourself' });
-    await pool.query('DELETE FROM user_progress WHERE user_id=$1', [userId]);
-    await pool.query('DELETE FROM aar_entries WHERE user_id=$1', [userId]);
-    await pool.query('DELETE FROM study_sessions WHERE user_id=$1', [userId]);
-    await pool.query('DELETE FROM password_resets WHERE user_id=$1', [userId]);
-    await pool.query('UPDATE access_codes SET used=FALSE,used_by=NULL,used_at=NULL WHERE used_by=$1', [userId]);
-    await pool.query('DELETE FROM users WHERE id=$1', [userId]);
-    res.json({ message: 'User deleted' });
-  } catch (e) { res.status(500).json({ error: 'Failed to delete user' }); }
+    const target = verifyUnsubscribeToken(req.query.token);
+    if (!target) return res.status(400).type('html').send(html`<p>This unsubscribe link is invalid.</p>`.value);
+
+    const columns = target.preference === 'all' ? EMAIL_PREFERENCES.map(p => p.column) : [target.preference];
+    await getEmailPreferences(target.userId);
+    await pool.query(`UPDATE email_preferences SET ${columns.map(c => `${c}=FALSE`).join(',')}, updated_at=LOCALTIMESTAMP WHERE user_id=$1`, [target.userId]);
+    res.type('html').send(html`<p>You have been unsubscribed. You can turn these emails back on in your RNPathfinders settings.</p>`.value);
+  } catch (e) {
+    console.error('Unsubscribe error:', e);
+    res.status(500).type('html').send(html`<p>Something went wrong. Please try again later.</p>`.value);
+  }
 });
 
 const PORT = process.env.PORT || 5000;
-initializeDatabase().then(() => {
+if (process.env.NODE_ENV === 'production' && JWT_SECRET === FALLBACK_JWT_SECRET) {
+  console.error('❌ JWT_SECRET must be set in production; refusing to start with the built-in fallback secret');
+  process.exit(1);
+}
+if (!emailTransports[getEmailTransportName()]) {
+  console.error(`❌ Unknown EMAIL_TRANSPORT "${getEmailTransportName()}" (expected one of: ${Object.keys(emailTransports).join(', ')})`);
+  process.exit(1);
+}
+
+// Refuses to run against a database that is behind the code
+async function assertMigrated() {
+  const { pending, changed } = await getMigrationStatus();
+  for (const m of changed) console.warn(`⚠️ ${m.file} was edited after it was applied`);
+  if (pending.length > 0) {
+    throw new Error(`${pending.length} pending migration(s): ${pending.map(m => m.file).join(', ')}. Run \`node server.js migrate up\` first.`);
+  }
+}
+
+// One-off commands: `node server.js <command> [args]`
+const COMMANDS = {
+  migrate: {
+    usage: 'migrate up|status',
+    async run([action]) {
+      if (action === 'up') {
+        const applied = await migrateUp();
+        console.log(applied.length ? `✅ ${applied.length} migration(s) applied` : '✅ Already up to date');
+        return 0;
+      }
+      if (action === 'status') {
+        const { migrations, pending, changed, missing } = await getMigrationStatus();
+        for (const m of migrations) {
+          const state = !m.applied ? 'pending' : m.applied.checksum !== m.checksum ? 'applied, edited since' : `applied ${m.applied.applied_at.toISOString()}`;
+          console.log(`${m.applied ? '✅' : '⏳'} ${m.file} (${state})`);
+        }
+        for (const row of missing) console.log(`❓ ${row.version}_${row.name} is applied but its file is missing`);
+        console.log(`${pending.length} pending`);
+        return pending.length > 0 || changed.length > 0 ? 1 : 0;
+      }
+      console.error('❌ Usage: node server.js migrate up|status');
+      return 1;
+    }
+  },
+  seed: {
+    usage: 'seed',
+    async run() {
+      await assertMigrated();
+      await seedDatabase();
+      return 0;
+    }
+  },
+  // Makes an existing user a super-admin, for the first deploy or when every admin has been locked out
+  'bootstrap-admin': {
+    usage: 'bootstrap-admin <email>',
+    async run([email]) {
+      if (!email) {
+        console.error('❌ Usage: node server.js bootstrap-admin <email>');
+        return 1;
+      }
+      await assertMigrated();
+      await seedRoles();
+      const userR = await pool.query('SELECT id FROM users WHERE email=$1', [email.toLowerCase()]);
+      if (userR.rows.length === 0) {
+        console.error(`❌ No user with email ${email}`);
+        return 1;
+      }
+      await grantRole(userR.rows[0].id, 'super_admin');
+      await revokeUserSessions(userR.rows[0].id);
+      console.log(`✅ ${email} is now a super-admin`);
+      return 0;
+    }
+  }
+};
+
+async function runCommand(name, args) {
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`❌ Unknown command "${name}" (expected one of: ${Object.values(COMMANDS).map(c => c.usage).join(', ')})`);
+    return 1;
+  }
+  return command.run(args);
+}
+
+async function startServer() {
+  await assertMigrated();
+  // Roles and permissions are defined in code, so they are synced on every boot
+  await seedRoles();
+  setInterval(expireStaleSessions, 5 * 60 * 1000);
+  expireStaleSessions();
+  setInterval(processEmailOutbox, EMAIL_WORKER_INTERVAL_MS);
+  processEmailOutbox();
+  setInterval(runScheduledJobs, SCHEDULER_INTERVAL_MS);
+  runScheduledJobs();
   app.listen(PORT, () => {
     console.log(`✅ RNPathfinders API v3.0 running on port ${PORT}`);
-    console.log(`📧 BREVO_API_KEY length: ${process.env.BREVO_API_KEY ? process.env.BREVO_API_KEY.length : 0}`);
     console.log(`📧 SENDER_EMAIL: ${process.env.SENDER_EMAIL || 'not set'}`);
-    console.log(`📧 Email: ${process.env.BREVO_API_KEY ? 'Configured' : 'Not configured'}`);
+    console.log(`📧 Email transport: ${getEmailTransport().describe()}`);
     console.log(`🔐 Features: Password Reset, Email Codes, User Unlock Requests`);
   });
-});
+}
+
+if (process.argv[2]) {
+  runCommand(process.argv[2], process.argv.slice(3))
+    .catch(e => { console.error('❌ Command failed:', e.message); return 1; })
+    .then(code => pool.end().then(() => process.exit(code)));
+} else {
+  startServer().catch(e => {
+    console.error('❌ Startup failed:', e.message);
+    process.exit(1);
+  });
+}